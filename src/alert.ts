@@ -0,0 +1,93 @@
+import { Locale } from './errors';
+
+// ==================== 价格提醒 ====================
+// 提醒类型：稳定的单选选项值，多维表格自动化可直接按选项触发通知
+export const ALERT_TYPES = {
+  NONE: 'none',
+  ABOVE: 'above',
+  BELOW: 'below',
+  BIG_MOVE: 'big-move',
+} as const;
+
+export type AlertType = typeof ALERT_TYPES[keyof typeof ALERT_TYPES];
+
+// 提醒条件：未填写的条件为 null，不参与判断
+export interface AlertRule {
+  upperPrice: number | null;
+  lowerPrice: number | null;
+  // 日涨跌幅上限，比例形式（5% 为 0.05）
+  maxMove: number | null;
+}
+
+export interface PriceAlert {
+  alert: AlertType;
+  alertMessage: string;
+}
+
+const ALERT_TEMPLATES: Record<Locale, Record<Exclude<AlertType, 'none'>, string>> = {
+  'zh-CN': {
+    'above': '价格 {price} 已达到上限 {threshold}',
+    'below': '价格 {price} 已跌至下限 {threshold}',
+    'big-move': '日涨跌幅 {move} 超过 ±{threshold}',
+  },
+  'en-US': {
+    'above': 'Price {price} is at or above the upper limit {threshold}',
+    'below': 'Price {price} is at or below the lower limit {threshold}',
+    'big-move': 'Daily move {move} exceeds ±{threshold}',
+  },
+};
+
+// 比例格式化为百分比文本，保留两位小数
+function formatPercent(ratio: number): string {
+  return `${parseFloat((ratio * 100).toFixed(2))}%`;
+}
+
+function fillTemplate(template: string, values: Record<string, string>): string {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
+// 是否填写了任一提醒条件
+export function hasAlertRule(rule: AlertRule): boolean {
+  return rule.upperPrice !== null || rule.lowerPrice !== null || rule.maxMove !== null;
+}
+
+/**
+ * 按价格和日涨跌幅判断提醒
+ * 同时满足多个条件时，提醒类型按 上限 > 下限 > 大幅波动 取第一个，提醒文案列出全部满足的条件
+ * @param price 最终返回的价格（与阈值同币种）
+ * @param changePercent 日涨跌幅（比例），缺失时不判断波动
+ */
+export function evaluatePriceAlert(price: number, changePercent: number | null, rule: AlertRule, locale: Locale): PriceAlert {
+  const templates = ALERT_TEMPLATES[locale];
+  const triggered: Array<{ type: AlertType; message: string }> = [];
+
+  if (rule.upperPrice !== null && price >= rule.upperPrice) {
+    triggered.push({
+      type: ALERT_TYPES.ABOVE,
+      message: fillTemplate(templates['above'], { price: String(price), threshold: String(rule.upperPrice) })
+    });
+  }
+
+  if (rule.lowerPrice !== null && price <= rule.lowerPrice) {
+    triggered.push({
+      type: ALERT_TYPES.BELOW,
+      message: fillTemplate(templates['below'], { price: String(price), threshold: String(rule.lowerPrice) })
+    });
+  }
+
+  if (rule.maxMove !== null && changePercent !== null && Math.abs(changePercent) >= rule.maxMove) {
+    triggered.push({
+      type: ALERT_TYPES.BIG_MOVE,
+      message: fillTemplate(templates['big-move'], { move: formatPercent(changePercent), threshold: formatPercent(rule.maxMove) })
+    });
+  }
+
+  if (triggered.length === 0) {
+    return { alert: ALERT_TYPES.NONE, alertMessage: '' };
+  }
+
+  return {
+    alert: triggered[0].type,
+    alertMessage: triggered.map(item => item.message).join(locale === 'zh-CN' ? '；' : '; ')
+  };
+}
@@ -0,0 +1,143 @@
+import { Currency } from './types';
+import { ERROR_CODES, ERROR_MESSAGES, ErrorCode, Locale } from './errors';
+
+// ==================== 组合（多代码）查询 ====================
+// 代码之间可用逗号、分号、顿号或空白分隔；代码后可用 * 指定持仓数量，如 sh600519*100
+const BASKET_SEPARATOR = /[\s,，;；、]+/;
+
+export interface BasketEntry {
+  input: string;
+  quantity: number;
+}
+
+// 组合中单个代码的查询结果（金额已换算为组合计价货币）
+export interface BasketItemResult {
+  input: string;
+  quantity: number;
+  symbol?: string;
+  name?: string;
+  price?: number;
+  change?: number | null;
+  changePercent?: number | null;
+  currency?: Currency;
+  date?: string;
+  // 失败时的错误码，明细按语言输出对应文案
+  errorCode?: ErrorCode;
+  // 失败原因补充说明（数据源返回的原始信息、汇率币种对等），与错误结果的 sourceDetail 一样仅在中文明细中追加
+  error?: string;
+}
+
+export interface BasketSummary {
+  basketCount: number;
+  basketSuccessCount: number;
+  marketValue: number | null;
+  change: number | null;
+  changePercent: number | null;
+  date: string;
+  basketDetails: string;
+}
+
+// 组合模式的文案，与 ERROR_MESSAGES 一样按语言维护
+const BASKET_MESSAGES: Record<Locale, { name: string; maxSize: string; invalidCode: string; separator: string }> = {
+  'zh-CN': {
+    name: '组合（{success}/{count}）',
+    maxSize: '组合最多支持 {max} 个代码',
+    invalidCode: '代码无效',
+    separator: '；',
+  },
+  'en-US': {
+    name: 'Basket ({success}/{count})',
+    maxSize: 'A basket supports at most {max} codes',
+    invalidCode: 'Invalid code',
+    separator: '; ',
+  },
+};
+
+function fillTemplate(template: string, values: Record<string, string | number>): string {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? String(values[key]) : match);
+}
+
+// 组合名称，如 组合（2/3）
+export function formatBasketName(summary: BasketSummary, locale: Locale): string {
+  return fillTemplate(BASKET_MESSAGES[locale].name, { success: summary.basketSuccessCount, count: summary.basketCount });
+}
+
+// 代码数量超出上限时的错误说明
+export function formatBasketSizeError(maxSize: number, locale: Locale): string {
+  return fillTemplate(BASKET_MESSAGES[locale].maxSize, { max: maxSize });
+}
+
+// 明细合并为单行（用于错误信息）
+export function joinBasketDetails(basketDetails: string, locale: Locale): string {
+  return basketDetails.split('\n').join(BASKET_MESSAGES[locale].separator);
+}
+
+// 输入中包含多个代码时按组合模式查询
+export function isBasketInput(input: string): boolean {
+  return input.trim().split(BASKET_SEPARATOR).filter(token => token).length > 1;
+}
+
+// 解析组合输入，未指定或无效的数量按 1 计
+export function parseBasketInput(input: string): BasketEntry[] {
+  return input.trim().split(BASKET_SEPARATOR).filter(token => token).map(token => {
+    const [code, quantityText] = token.split('*');
+    const quantity = parseFloat(quantityText);
+    return {
+      input: code.trim(),
+      quantity: !isNaN(quantity) && quantity > 0 ? quantity : 1
+    };
+  });
+}
+
+// 组合明细中的单行文本
+function formatBasketLine(item: BasketItemResult, locale: Locale): string {
+  if (item.errorCode || typeof item.price !== 'number') {
+    const errorCode = item.errorCode || ERROR_CODES.PRICE_UNAVAILABLE;
+    // 完整的代码格式提示过长，明细中只给出简短说明
+    const message = errorCode === ERROR_CODES.INVALID_CODE ? BASKET_MESSAGES[locale].invalidCode : ERROR_MESSAGES[locale][errorCode];
+    return `${item.input} ${message}${item.error && locale === 'zh-CN' ? `: ${item.error}` : ''}`;
+  }
+
+  const percent = typeof item.changePercent === 'number'
+    ? ` ${item.changePercent >= 0 ? '+' : ''}${(item.changePercent * 100).toFixed(2)}%`
+    : '';
+  const quantity = item.quantity !== 1 ? ` ×${item.quantity}` : '';
+  return `${item.symbol || item.input} ${item.name || ''} ${item.price}${item.currency ? ` ${item.currency}` : ''}${percent}${quantity}`;
+}
+
+/**
+ * 汇总组合：市值 = Σ 价格 × 数量，涨跌额 = Σ 涨跌 × 数量，涨跌幅按昨日市值计算
+ * 失败或无价格的代码不计入合计，只在明细中列出
+ */
+export function summarizeBasket(items: BasketItemResult[], locale: Locale = 'zh-CN'): BasketSummary {
+  let marketValue = 0;
+  let change = 0;
+  let hasChange = false;
+  let successCount = 0;
+  let latestDate = '';
+
+  for (const item of items) {
+    if (item.errorCode || typeof item.price !== 'number' || item.price <= 0) continue;
+
+    successCount++;
+    marketValue += item.price * item.quantity;
+    if (typeof item.change === 'number') {
+      change += item.change * item.quantity;
+      hasChange = true;
+    }
+    if (item.date && item.date > latestDate) {
+      latestDate = item.date;
+    }
+  }
+
+  const previousValue = marketValue - change;
+  return {
+    basketCount: items.length,
+    basketSuccessCount: successCount,
+    marketValue: successCount > 0 ? parseFloat(marketValue.toFixed(4)) : null,
+    change: successCount > 0 && hasChange ? parseFloat(change.toFixed(4)) : null,
+    changePercent: successCount > 0 && hasChange && previousValue > 0 ? parseFloat((change / previousValue).toFixed(6)) : null,
+    date: latestDate,
+    basketDetails: items.map(item => formatBasketLine(item, locale)).join('\n')
+  };
+}
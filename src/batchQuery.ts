@@ -0,0 +1,163 @@
+import { CONFIG } from './config';
+import { QueryOptions } from './types';
+import { isHistoricalDate } from './utils';
+import { normalizeSymbol } from './markets';
+import { HighPerformanceLRUCache } from './lruCache';
+import { ProviderQuote } from './providers/types';
+
+// ==================== 批量查询优化器 ====================
+export interface BatchQueryOptions extends QueryOptions {
+  // 强制刷新：跳过结果缓存和请求缓存，重新请求数据源
+  forceRefresh?: boolean;
+}
+
+export interface QueryRequest extends BatchQueryOptions {
+  stockCode: string;
+}
+
+interface QueueItem<R> {
+  resolve: (value: R) => void;
+  reject: (reason: any) => void;
+}
+
+interface BatchQueueEntry<R> {
+  request: QueryRequest;
+  callbacks: QueueItem<R>[];
+}
+
+// 优化器依赖的缓存与查询函数，由字段入口注入
+export interface BatchQueryDependencies<R> {
+  // 查询对应的结果缓存及未指定过期时间条目的 TTL
+  getResultCache: (request: QueryRequest) => { cache: HighPerformanceLRUCache<R>; ttl: number };
+  // 写入查询结果并返回实际使用的结果
+  storeResult: (request: QueryRequest, cacheKey: string, cache: HighPerformanceLRUCache<R>, result: R) => R;
+  // 代码是否可以参与多代码合并请求
+  canCombine: (symbol: string) => boolean;
+  // 请求一个分块的多代码行情，按代码返回；请求失败时抛出异常
+  fetchQuoteChunk: (symbols: string[], forceRefresh: boolean) => Promise<Record<string, ProviderQuote>>;
+  // 查询单个代码，合并请求已取得的行情可直接使用
+  executeQuery: (request: QueryRequest, combinedQuotes: Record<string, ProviderQuote>) => Promise<R>;
+}
+
+/**
+ * 批量查询优化器：BATCH_DELAY 内的查询合并为一批，同一代码只查询一次并把结果分发给每个调用方
+ * 未命中缓存的实时行情代码按 BATCH_CHUNK_SIZE 分块合并请求
+ */
+export class BatchQueryOptimizer<R> {
+  private queryQueue: Map<string, BatchQueueEntry<R>> = new Map();
+  private processingTimer: NodeJS.Timeout | null = null;
+  private dependencies: BatchQueryDependencies<R>;
+
+  constructor(dependencies: BatchQueryDependencies<R>) {
+    this.dependencies = dependencies;
+  }
+
+  async addQuery(stockCode: string, options: BatchQueryOptions = {}): Promise<R> {
+    return new Promise((resolve, reject) => {
+      const request: QueryRequest = {
+        stockCode: normalizeSymbol(stockCode),
+        // 今天及以后的日期按实时行情查询，不参与去重键
+        queryDate: isHistoricalDate(options.queryDate) ? options.queryDate : undefined,
+        fundValuation: options.fundValuation === 'estimate' ? 'estimate' : 'nav',
+        forceRefresh: !!options.forceRefresh
+      };
+      const queueKey = this.buildQueueKey(request);
+
+      if (!this.queryQueue.has(queueKey)) {
+        this.queryQueue.set(queueKey, { request, callbacks: [] });
+      } else if (request.forceRefresh) {
+        // 同一批次中任一单元格要求强制刷新时，该代码整体重新查询
+        this.queryQueue.get(queueKey)!.request.forceRefresh = true;
+      }
+
+      this.queryQueue.get(queueKey)!.callbacks.push({ resolve, reject });
+      this.scheduleBatchProcess();
+    });
+  }
+
+  private buildQueueKey(request: QueryRequest): string {
+    let key = request.queryDate ? `${request.stockCode}_${request.queryDate}` : request.stockCode;
+    if (request.fundValuation === 'estimate') {
+      key += '_estimate';
+    }
+    return key;
+  }
+
+  private scheduleBatchProcess(): void {
+    if (this.processingTimer) {
+      clearTimeout(this.processingTimer);
+    }
+
+    this.processingTimer = setTimeout(() => {
+      this.processBatch();
+    }, CONFIG.BATCH_DELAY);
+  }
+
+  private async processBatch(): Promise<void> {
+    const currentQueue = new Map(this.queryQueue);
+    this.queryQueue.clear();
+    this.processingTimer = null;
+
+    const entries = Array.from(currentQueue.entries()).map(([queueKey, entry]) => {
+      const cacheKey = `batch_${queueKey}`;
+      const { cache: resultCache, ttl: cacheTtl } = this.dependencies.getResultCache(entry.request);
+      const cached: R | null = entry.request.forceRefresh ? null : resultCache.get(cacheKey, cacheTtl);
+      return { ...entry, cacheKey, resultCache, cached };
+    });
+
+    // 未命中缓存的实时行情代码合并为多代码请求
+    const combinedQuotes = await this.fetchCombinedQuotes(
+      entries.filter(entry => !entry.cached).map(entry => entry.request)
+    );
+
+    const promises = entries.map(async ({ request, callbacks, cacheKey, resultCache, cached }) => {
+      try {
+        let result: R;
+        if (cached) {
+          result = cached;
+        } else {
+          const queried = await this.dependencies.executeQuery(request, combinedQuotes);
+          result = this.dependencies.storeResult(request, cacheKey, resultCache, queried);
+        }
+
+        callbacks.forEach(callback => callback.resolve(result));
+      } catch (error) {
+        callbacks.forEach(callback => callback.reject(error));
+      }
+    });
+
+    await Promise.all(promises);
+  }
+
+  /**
+   * 合并查询实时行情：按 BATCH_CHUNK_SIZE 分块，每块一次多代码请求
+   * 单个分块请求失败或某个代码未返回时不影响其他代码，这些代码在 executeQuery 中逐个走故障切换
+   */
+  private async fetchCombinedQuotes(requests: QueryRequest[]): Promise<Record<string, ProviderQuote>> {
+    const symbols = requests
+      .filter(request => !request.queryDate)
+      .map(request => request.stockCode)
+      .filter((symbol, index, list) => this.dependencies.canCombine(symbol) && list.indexOf(symbol) === index);
+
+    // 单个代码无需合并，直接走数据源故障切换
+    if (symbols.length < 2) {
+      return {};
+    }
+
+    const chunks: string[][] = [];
+    for (let i = 0; i < symbols.length; i += CONFIG.BATCH_CHUNK_SIZE) {
+      chunks.push(symbols.slice(i, i + CONFIG.BATCH_CHUNK_SIZE));
+    }
+
+    const forceRefresh = requests.some(request => !!request.forceRefresh);
+    const chunkQuotes = await Promise.all(chunks.map(async chunk => {
+      try {
+        return await this.dependencies.fetchQuoteChunk(chunk, forceRefresh);
+      } catch (error) {
+        return {};
+      }
+    }));
+
+    return chunkQuotes.reduce((merged, quotes) => ({ ...merged, ...quotes }), {} as Record<string, ProviderQuote>);
+  }
+}
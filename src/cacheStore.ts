@@ -0,0 +1,97 @@
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// ==================== 持久化缓存存储 ====================
+// 键值存储接口：值为字符串，ttl 为毫秒（可选）。文件存储之外也可按此接口接入 Redis 等外部存储
+export interface CacheStore {
+  get(key: string): Promise<string | null>;
+  set(key: string, value: string, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+// 快照条目：过期时间为绝对时刻，恢复后剩余有效期不变
+export interface CacheSnapshotEntry {
+  key: string;
+  value: unknown;
+  timestamp: number;
+  expiresAt: number;
+}
+
+const SNAPSHOT_VERSION = 1;
+
+export const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), 'asset-price-inquiry-cache');
+
+/**
+ * 生成快照文本：跳过已过期条目，超出大小上限时优先保留靠后（最近使用）的条目
+ * @param entries 按 LRU 顺序排列（最近使用在后）的条目
+ * @param maxBytes 快照文本的最大字节数
+ */
+export function buildCacheSnapshot(entries: CacheSnapshotEntry[], maxBytes: number, now: number = Date.now()): string {
+  const kept: string[] = [];
+  let size = 0;
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].expiresAt <= now) continue;
+
+    const serialized = JSON.stringify(entries[i]);
+    const entrySize = Buffer.byteLength(serialized) + 1;
+    // 单个条目超出剩余空间时跳过，继续尝试更早的较小条目
+    if (size + entrySize > maxBytes) continue;
+
+    kept.unshift(serialized);
+    size += entrySize;
+  }
+
+  return `{"version":${SNAPSHOT_VERSION},"entries":[${kept.join(',')}]}`;
+}
+
+// 解析快照文本，返回未过期的条目；版本不符或格式错误时返回空数组
+export function readCacheSnapshot(text: string, now: number = Date.now()): CacheSnapshotEntry[] {
+  try {
+    const snapshot = JSON.parse(text);
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+      return [];
+    }
+
+    return snapshot.entries.filter((entry: CacheSnapshotEntry) =>
+      entry && typeof entry.key === 'string' && typeof entry.expiresAt === 'number' && entry.expiresAt > now
+    );
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 基于文件的缓存存储：每个键一个文件，写入时先写临时文件再重命名，避免读到写了一半的内容
+ * @param dir 存储目录，默认为系统临时目录下的子目录（FaaS 环境中通常只有临时目录可写）
+ */
+export function createFileCacheStore(dir: string = DEFAULT_CACHE_DIR): CacheStore {
+  const fileFor = (key: string) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const record = JSON.parse(await fs.readFile(fileFor(key), 'utf-8'));
+        if (typeof record.expiresAt === 'number' && record.expiresAt <= Date.now()) {
+          return null;
+        }
+        return typeof record.value === 'string' ? record.value : null;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async set(key, value, ttl) {
+      const file = fileFor(key);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify({ expiresAt: ttl !== undefined ? Date.now() + ttl : null, value }), 'utf-8');
+      await fs.rename(tempFile, file);
+    },
+
+    async delete(key) {
+      await fs.unlink(fileFor(key)).catch(() => undefined);
+    }
+  };
+}
@@ -0,0 +1,188 @@
+import { CONFIG } from './config';
+import { MARKET_HOLIDAYS } from './data/holidays';
+import { CalendarRegion, Market, MarketStatus } from './types';
+import { getMarket, shiftDate } from './utils';
+
+// ==================== 交易日历与交易时段 ====================
+const HOUR = 60 * 60 * 1000;
+
+export interface MarketSession {
+  region: CalendarRegion;
+  status: MarketStatus;
+  // 当地日期和时间（HHMM）
+  localDate: string;
+  localTime: number;
+  // 最近一个已开盘的交易日（当天开盘后即为当天），用作实时行情缺少日期时的价格日期
+  lastTradingDate: string;
+  // 最近一个已收盘的交易日，用作基金净值缺少日期时的净值日期
+  lastClosedDate: string;
+}
+
+// 按市场获取交易日历：港股、美股各自使用本地日历，其余（沪深北、国内期货、场外基金）按A股日历
+export function getCalendarRegion(market: Market | null): CalendarRegion {
+  if (market === 'hk') return 'HK';
+  if (market === 'us') return 'US';
+  return 'CN';
+}
+
+// 某年某月第 n 个星期日的日期（UTC）
+function nthSunday(year: number, month: number, n: number): number {
+  const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return 1 + (7 - firstDay) % 7 + (n - 1) * 7;
+}
+
+// 美东时间 UTC 偏移：3 月第二个星期日 2:00 至 11 月第一个星期日 2:00 为夏令时
+function getUsEasternOffset(now: Date): number {
+  const year = now.getUTCFullYear();
+  const dstStart = Date.UTC(year, 2, nthSunday(year, 2, 2), 7);
+  const dstEnd = Date.UTC(year, 10, nthSunday(year, 10, 1), 6);
+  return now.getTime() >= dstStart && now.getTime() < dstEnd ? -4 : -5;
+}
+
+// 市场当地时间，读取时使用 getUTC* 方法
+function getLocalTime(region: CalendarRegion, now: Date): Date {
+  const offset = region === 'US' ? getUsEasternOffset(now) : 8;
+  return new Date(now.getTime() + offset * HOUR);
+}
+
+// 是否为交易日：非周末且不在休市日表中
+export function isTradingDay(region: CalendarRegion, dateStr: string): boolean {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && MARKET_HOLIDAYS[region].indexOf(dateStr) === -1;
+}
+
+// 不晚于指定日期的最近一个交易日
+export function getPreviousTradingDate(region: CalendarRegion, dateStr: string): string {
+  let date = dateStr;
+  // 最长休市（春节）不超过两周，向前最多查找 30 天
+  for (let i = 0; i < 30 && !isTradingDay(region, date); i++) {
+    date = shiftDate(date, -1);
+  }
+  return date;
+}
+
+/**
+ * 获取市场当前状态及最近交易日
+ * @param region 交易日历所属市场
+ * @param now 当前时刻，默认为系统时间（测试时可指定）
+ */
+export function getMarketSession(region: CalendarRegion, now: Date = new Date()): MarketSession {
+  const local = getLocalTime(region, now);
+  const localDate = local.toISOString().substring(0, 10);
+  const localTime = local.getUTCHours() * 100 + local.getUTCMinutes();
+  const { preOpen, sessions } = CONFIG.MARKET_SESSIONS[region];
+  const open = sessions[0][0];
+  const close = sessions[sessions.length - 1][1];
+  const previousDate = getPreviousTradingDate(region, shiftDate(localDate, -1));
+
+  if (!isTradingDay(region, localDate)) {
+    const weekday = local.getUTCDay();
+    return {
+      region,
+      status: weekday === 0 || weekday === 6 ? 'closed' : 'holiday',
+      localDate,
+      localTime,
+      lastTradingDate: previousDate,
+      lastClosedDate: previousDate
+    };
+  }
+
+  let status: MarketStatus = 'closed';
+  if (sessions.some(([start, end]) => localTime >= start && localTime <= end)) {
+    status = 'live';
+  } else if (localTime >= preOpen && localTime < open) {
+    status = 'pre-market';
+  }
+
+  return {
+    region,
+    status,
+    localDate,
+    localTime,
+    lastTradingDate: localTime >= open ? localDate : previousDate,
+    lastClosedDate: localTime > close ? localDate : previousDate
+  };
+}
+
+/**
+ * 结果的市场状态：实时查询为市场当前状态；历史日期查询按价格日期判断，当天早已收盘，工作日休市日为 holiday
+ * @param valueDate 历史日期查询的价格日期，实时查询不传
+ */
+export function getMarketStatusOn(region: CalendarRegion, valueDate?: string, now: Date = new Date()): MarketStatus {
+  const session = getMarketSession(region, now);
+  if (!valueDate || valueDate >= session.localDate) {
+    return session.status;
+  }
+
+  const weekday = new Date(`${valueDate}T00:00:00Z`).getUTCDay();
+  return isTradingDay(region, valueDate) || weekday === 0 || weekday === 6 ? 'closed' : 'holiday';
+}
+
+// 代码所在市场最近一个已开盘的交易日：行情缺少日期字段时作为价格日期
+export function getLastTradingDate(symbol: string, now: Date = new Date()): string {
+  return getMarketSession(getCalendarRegion(getMarket(symbol)), now).lastTradingDate;
+}
+
+// 下一个交易日（不含当天）
+export function getNextTradingDate(region: CalendarRegion, dateStr: string): string {
+  let date = shiftDate(dateStr, 1);
+  for (let i = 0; i < 30 && !isTradingDay(region, date); i++) {
+    date = shiftDate(date, 1);
+  }
+  return date;
+}
+
+// 当地日期和时间（HHMM）对应的时刻（毫秒时间戳）
+function toInstant(region: CalendarRegion, dateStr: string, hhmm: number): number {
+  const localMs = Date.parse(`${dateStr}T00:00:00Z`) + (Math.floor(hhmm / 100) * 60 + hhmm % 100) * 60 * 1000;
+  const offset = region === 'US' ? getUsEasternOffset(new Date(localMs + 5 * HOUR)) : 8;
+  return localMs - offset * HOUR;
+}
+
+// 下次开盘时刻：交易日盘前时段开始前为当天盘前，午间休市为午后开盘，其余为下一个交易日盘前
+export function getNextOpenTime(session: MarketSession): number {
+  const { region, localDate, localTime } = session;
+  const { preOpen, sessions } = CONFIG.MARKET_SESSIONS[region];
+
+  if (isTradingDay(region, localDate)) {
+    if (localTime < preOpen) {
+      return toInstant(region, localDate, preOpen);
+    }
+    const nextSession = sessions.find(([start]) => start > localTime);
+    if (nextSession) {
+      return toInstant(region, localDate, nextSession[0]);
+    }
+  }
+
+  return toInstant(region, getNextTradingDate(region, localDate), preOpen);
+}
+
+// 实时行情结果缓存时间：交易中和盘前使用短缓存，休市时行情不再变化，缓存到下次开盘
+export function getSessionCacheTtl(session: MarketSession, now: Date = new Date()): number {
+  if (session.status === 'live' || session.status === 'pre-market') {
+    return CONFIG.BATCH_CACHE_TTL;
+  }
+
+  return Math.max(CONFIG.BATCH_CACHE_TTL, getNextOpenTime(session) - now.getTime());
+}
+
+/**
+ * 基金净值结果缓存时间：净值已是最新一期时缓存到下一次预计公布时间，尚未更新时在当天公布时段内按短间隔重新查询
+ * 交易日净值预计在 FUND_NAV_PUBLISH_TIME（北京时间）后公布；QDII、T+2 等基金的净值正常滞后，公布时段结束后同样缓存到下一次公布，每天最多重试到 FUND_NAV_POLL_END
+ * @param navDate 结果中的净值日期
+ * @param now 当前时刻，默认为系统时间（测试时可指定）
+ */
+export function getFundNavCacheTtl(navDate: string, now: Date = new Date()): number {
+  const session = getMarketSession('CN', now);
+  const publishTime = CONFIG.FUND_NAV_PUBLISH_TIME;
+  const tradingToday = isTradingDay('CN', session.localDate);
+  const publishedToday = tradingToday && session.localTime >= publishTime;
+  const expectedNavDate = publishedToday ? session.localDate : getPreviousTradingDate('CN', shiftDate(session.localDate, -1));
+
+  if (navDate < expectedNavDate && publishedToday && session.localTime < CONFIG.FUND_NAV_POLL_END) {
+    return CONFIG.FUND_NAV_POLL_TTL;
+  }
+
+  const nextPublishDate = tradingToday && !publishedToday ? session.localDate : getNextTradingDate('CN', session.localDate);
+  return Math.max(CONFIG.FUND_NAV_POLL_TTL, toInstant('CN', nextPublishDate, publishTime) - now.getTime());
+}
@@ -0,0 +1,68 @@
+// ==================== 优化后的配置常量 ====================
+export const CONFIG = {
+  PRICE_RANGE: { MIN: 0.01, MAX: 10000 },
+  REQUEST_TIMEOUT: 8000,
+  RETRY_COUNT: 2,
+  RETRY_DELAY: 500,
+  PRICE_UNAVAILABLE: null,
+  CACHE_TTL: 45000,
+  // 盘口五档变化快，请求缓存只复用几秒内的响应
+  DEPTH_CACHE_TTL: 3000,
+  BATCH_CACHE_TTL: 180000,
+  MAX_CACHE_SIZE: 500,
+  CACHE_CLEANUP_INTERVAL: 120000,
+  BATCH_DELAY: 20,
+  MAX_CONCURRENT_REQUESTS: 5,
+  HISTORY_CACHE_TTL: 7 * 24 * 60 * 60 * 1000,
+  HISTORY_LOOKBACK_DAYS: 15,
+  SYMBOL_CACHE_TTL: 24 * 60 * 60 * 1000,
+  MAX_BASKET_SIZE: 60,
+  // 批量窗口内合并请求时每次 qt.gtimg.cn 请求的最大代码数
+  BATCH_CHUNK_SIZE: 50,
+  // 历史序列：未填写开始日期时默认回溯的天数，单次请求的最多K线数
+  SERIES_DEFAULT_DAYS: 365,
+  SERIES_MAX_POINTS: 2000,
+  // 各市场交易时段（当地时间，HHMM）：preOpen 为集合竞价/盘前时段开始时间
+  MARKET_SESSIONS: {
+    CN: { preOpen: 915, sessions: [[930, 1130], [1300, 1500]] },
+    HK: { preOpen: 900, sessions: [[930, 1200], [1300, 1600]] },
+    US: { preOpen: 400, sessions: [[930, 1600]] },
+  },
+  // 基金净值预计公布时间（北京时间，HHMM）；净值尚未更新时重新查询的间隔
+  FUND_NAV_PUBLISH_TIME: 2000,
+  FUND_NAV_POLL_TTL: 10 * 60 * 1000,
+  // 净值尚未更新时只在当天公布时段（FUND_NAV_PUBLISH_TIME 至此时刻）内重新查询，QDII、T+2 等净值滞后的基金其余时间缓存到下一次公布
+  FUND_NAV_POLL_END: 2330,
+  // 货币基金的固定单位净值
+  MONEY_FUND_NAV: 1,
+  // 分红、送转和拆分记录变化很少，缓存一天
+  CORPORATE_ACTION_CACHE_TTL: 24 * 60 * 60 * 1000,
+  // 返回的最近公司行动条数
+  CORPORATE_ACTION_COUNT: 5,
+  // 失败或无有效价格的结果只短暂缓存：连续失败时按 2 倍退避，最长 FAILURE_CACHE_MAX_TTL；失败计数在无失败 FAILURE_RESET_TTL 后清零
+  FAILURE_CACHE_TTL: 15000,
+  FAILURE_CACHE_MAX_TTL: 5 * 60 * 1000,
+  FAILURE_RESET_TTL: 30 * 60 * 1000,
+  // 数据源失败时可作为过期结果返回的上次成功结果的最长保留时间
+  STALE_RESULT_MAX_AGE: 3 * 24 * 60 * 60 * 1000,
+  // 缓存快照：实例回收后从快照恢复内存缓存；写入后延迟写回，单个缓存的快照不超过 CACHE_SNAPSHOT_MAX_BYTES
+  CACHE_SNAPSHOT_ENABLED: true,
+  CACHE_SNAPSHOT_DELAY: 2000,
+  CACHE_SNAPSHOT_MAX_BYTES: 2 * 1024 * 1024,
+};
+
+// 预编译正则表达式
+export const PATTERNS = {
+  FUND_CODE: /^\d{6}$/,
+  STOCK_CODE: /^(sh|sz|bj|hk|us|nf)[a-z0-9._\-]+$/i,
+  PURE_NUMBER: /^\d+\.?\d*$/,
+  DATE_FORMAT: /^\d{4}-\d{2}-\d{2}$/,
+  PERCENTAGE: /^[+-]?\d*\.?\d+%$/,
+  PRICE_PATTERN: /(\d+\.\d{2,4})/,
+  DATE_PATTERNS: [
+    /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/g,
+    /(\d{4}年\d{1,2}月\d{1,2}日)/g,
+    /更新时间[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi,
+    /净值日期[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi
+  ]
+};
@@ -0,0 +1,73 @@
+import { CONFIG } from './config';
+import { CorporateAction } from './providers/corporateActions';
+
+// ==================== 分红与拆分信息 ====================
+export interface CorporateActionSummary {
+  dividendPerShare: number | null;
+  dividendExDate: string | null;
+  dividendPayDate: string | null;
+  splitDate: string | null;
+  splitRatio: number | null;
+  recentActions: string;
+}
+
+export const EMPTY_CORPORATE_ACTIONS: CorporateActionSummary = {
+  dividendPerShare: null,
+  dividendExDate: null,
+  dividendPayDate: null,
+  splitDate: null,
+  splitRatio: null,
+  recentActions: ''
+};
+
+// 单条记录文本，如 2025-06-19 分红 每股0.5000 或 2024-03-01 拆分 1:1.0168
+function formatAction(action: CorporateAction): string {
+  if (action.type === 'dividend') {
+    return `${action.exDate} 分红 每股(份)${action.cashPerShare!.toFixed(4)}`;
+  }
+  return `${action.exDate} 拆分/送转 1:${action.ratio}`;
+}
+
+/**
+ * 股息率（近12个月）：除息日在截至日期前一年内（不含一年前当日）的每股现金分红合计 ÷ 价格
+ * 期间有拆分/送转时按拆分比例折算到当前股本；没有分红记录时为 0
+ * @param actions 按除权日期降序排列的记录
+ * @param asOf 价格日期
+ * @param price 该日价格，与分红同币种
+ */
+export function computeDividendYield(actions: CorporateAction[], asOf: string, price: number): number | null {
+  if (!(price > 0)) return null;
+
+  const yearAgo = `${parseInt(asOf.substring(0, 4), 10) - 1}${asOf.substring(4)}`;
+  let cash = 0;
+  for (const action of actions) {
+    if (action.exDate > asOf || action.exDate <= yearAgo) continue;
+    if (action.type === 'dividend' && action.cashPerShare) {
+      // 分红按同日及之后的拆分比例折算（10派3送10 的每股派现以送转前股本计）
+      const laterSplits = actions.filter(item => item.type === 'split' && item.ratio && item.exDate >= action.exDate && item.exDate <= asOf);
+      cash += laterSplits.reduce((amount, item) => amount / item.ratio!, action.cashPerShare);
+    }
+  }
+
+  return parseFloat((cash / price).toFixed(6));
+}
+
+/**
+ * 截至指定日期的最近分红和拆分，及最近 CORPORATE_ACTION_COUNT 条记录文本（每行一条）
+ * @param actions 按除权日期降序排列的记录
+ * @param asOf 价格日期，晚于该日的记录不计入
+ */
+export function summarizeCorporateActions(actions: CorporateAction[], asOf: string): CorporateActionSummary {
+  const past = actions.filter(action => action.exDate <= asOf);
+  const dividend = past.find(action => action.type === 'dividend');
+  const split = past.find(action => action.type === 'split');
+
+  return {
+    dividendPerShare: dividend ? dividend.cashPerShare : null,
+    dividendExDate: dividend ? dividend.exDate : null,
+    dividendPayDate: dividend ? dividend.payDate : null,
+    splitDate: split ? split.exDate : null,
+    splitRatio: split ? split.ratio : null,
+    recentActions: past.slice(0, CONFIG.CORPORATE_ACTION_COUNT).map(formatAction).join('\n')
+  };
+}
@@ -0,0 +1,34 @@
+import { Currency, Market } from './types';
+
+// ==================== 计价货币与换算 ====================
+// 各市场的计价货币：沪深北交易所、国内期货及场外基金为人民币，港股为港元，美股为美元
+const MARKET_CURRENCY: Record<Market, Currency> = {
+  sh: 'CNY',
+  sz: 'CNY',
+  bj: 'CNY',
+  nf: 'CNY',
+  fund: 'CNY',
+  hk: 'HKD',
+  us: 'USD',
+};
+
+// 按市场获取计价货币
+export function getMarketCurrency(market: Market): Currency {
+  return MARKET_CURRENCY[market];
+}
+
+// 需要按汇率换算的金额类字段；涨跌幅、成交量等比例或数量字段保持不变
+const PRICE_FIELDS = ['price', 'prevClose', 'open', 'high', 'low', 'change', 'accumulatedNav', 'amount', 'marketCap', 'marketValue', 'profit', 'high52Week', 'floatMarketCap', 'limitUp', 'limitDown', 'incomePer10k', 'adjustedPrice', 'dividendPerShare', 'bestBid', 'bestAsk', 'spread'];
+
+// 按汇率换算查询结果中的金额字段，返回新对象
+export function applyExchangeRate(data: Record<string, any>, rate: number): Record<string, any> {
+  const converted: Record<string, any> = { ...data };
+
+  for (const key of PRICE_FIELDS) {
+    if (typeof converted[key] === 'number') {
+      converted[key] = parseFloat((converted[key] * rate).toFixed(4));
+    }
+  }
+
+  return converted;
+}
@@ -0,0 +1,64 @@
+// ==================== 离线证券索引 ====================
+// 搜索接口不可用时的兜底索引，仅收录常用证券：[查询代码, 名称, 拼音首字母]
+export const OFFLINE_SYMBOL_INDEX: Array<[string, string, string]> = [
+  // 沪深A股
+  ['sh600519', '贵州茅台', 'gzmt'],
+  ['sz000858', '五粮液', 'wly'],
+  ['sz000568', '泸州老窖', 'lzlj'],
+  ['sh600809', '山西汾酒', 'sxfj'],
+  ['sz300750', '宁德时代', 'ndsd'],
+  ['sz002594', '比亚迪', 'byd'],
+  ['sh601318', '中国平安', 'zgpa'],
+  ['sh600036', '招商银行', 'zsyh'],
+  ['sz000001', '平安银行', 'payh'],
+  ['sh601398', '工商银行', 'gsyh'],
+  ['sh601939', '建设银行', 'jsyh'],
+  ['sh601288', '农业银行', 'nyyh'],
+  ['sh601988', '中国银行', 'zgyh'],
+  ['sh601857', '中国石油', 'zgsy'],
+  ['sh600028', '中国石化', 'zgsh'],
+  ['sh600900', '长江电力', 'cjdl'],
+  ['sz000333', '美的集团', 'mdjt'],
+  ['sz000651', '格力电器', 'gldq'],
+  ['sh601012', '隆基绿能', 'ljln'],
+  ['sh600030', '中信证券', 'zxzq'],
+  ['sz300059', '东方财富', 'dfcf'],
+  ['sh600276', '恒瑞医药', 'hryy'],
+  ['sz300760', '迈瑞医疗', 'mryl'],
+  ['sz002415', '海康威视', 'hkws'],
+  ['sh688981', '中芯国际', 'zxgj'],
+  ['sh600887', '伊利股份', 'ylgf'],
+  ['sh601899', '紫金矿业', 'zjky'],
+  ['sz000002', '万科A', 'wka'],
+  ['sh601888', '中国中免', 'zgzm'],
+  // 指数
+  ['sh000001', '上证指数', 'szzs'],
+  ['sz399001', '深证成指', 'szcz'],
+  ['sz399006', '创业板指', 'cybz'],
+  ['sh000300', '沪深300', 'hs300'],
+  ['sh000688', '科创50', 'kc50'],
+  ['hkHSI', '恒生指数', 'hszs'],
+  ['us.DJI', '道琼斯', 'dqs'],
+  ['us.IXIC', '纳斯达克', 'nsdk'],
+  ['us.INX', '标普500', 'bp500'],
+  // ETF
+  ['sh510300', '沪深300ETF', 'hs300etf'],
+  ['sh510050', '上证50ETF', 'sz50etf'],
+  ['sz159915', '创业板ETF', 'cybetf'],
+  // 港股
+  ['hk00700', '腾讯控股', 'txkg'],
+  ['hk09988', '阿里巴巴-W', 'albb'],
+  ['hk03690', '美团-W', 'mt'],
+  ['hk01810', '小米集团-W', 'xmjt'],
+  ['hk09618', '京东集团-SW', 'jdjt'],
+  ['hk00941', '中国移动', 'zgyd'],
+  ['hk00005', '汇丰控股', 'hfkg'],
+  ['hk09633', '农夫山泉', 'nfsq'],
+  // 美股
+  ['usAAPL', '苹果', 'pg'],
+  ['usMSFT', '微软', 'wr'],
+  ['usNVDA', '英伟达', 'ywd'],
+  ['usTSLA', '特斯拉', 'tsl'],
+  ['usGOOGL', '谷歌', 'gg'],
+  ['usAMZN', '亚马逊', 'ymx'],
+];
@@ -0,0 +1,135 @@
+import { CONFIG } from './config';
+
+// ==================== 查询状态与错误码 ====================
+// 结果状态：稳定的机器可读取值，可直接用于筛选和公式判断
+export const STATUS = {
+  SUCCESS: 'success',
+  ERROR: 'error',
+} as const;
+
+export type QueryStatus = typeof STATUS[keyof typeof STATUS];
+
+// 错误码（同步维护 README 中的错误码说明）
+export const ERROR_CODES = {
+  // 代码为空或格式无法识别
+  INVALID_CODE: 'INVALID_CODE',
+  // 日期格式错误或超出可查询范围
+  INVALID_DATE: 'INVALID_DATE',
+  // 所有数据源均未返回该代码的数据
+  QUERY_FAILED: 'QUERY_FAILED',
+  // 名称解析成功但没有有效价格/净值
+  PRICE_UNAVAILABLE: 'PRICE_UNAVAILABLE',
+  // 目标币种汇率获取失败
+  FX_UNAVAILABLE: 'FX_UNAVAILABLE',
+  // 未预期的系统异常
+  SYSTEM_ERROR: 'SYSTEM_ERROR',
+} as const;
+
+export type ErrorCode = typeof ERROR_CODES[keyof typeof ERROR_CODES];
+
+export type Locale = 'zh-CN' | 'en-US';
+
+// 错误码对应的提示文案，合并进字段的 i18n 配置
+export const ERROR_MESSAGES: Record<Locale, Record<ErrorCode, string>> = {
+  'zh-CN': {
+    INVALID_CODE: '请输入有效的证券代码（如：sh600519、sz000001、bj430047、hk00700、usAAPL、nfRB2501）或基金代码（如：000311）',
+    INVALID_DATE: '日期格式错误',
+    QUERY_FAILED: '查询失败',
+    PRICE_UNAVAILABLE: '价格暂不可用',
+    FX_UNAVAILABLE: '汇率获取失败',
+    SYSTEM_ERROR: '系统异常',
+  },
+  'en-US': {
+    INVALID_CODE: 'Enter a valid security code (e.g. sh600519, sz000001, bj430047, hk00700, usAAPL, nfRB2501) or fund code (e.g. 000311)',
+    INVALID_DATE: 'Invalid date',
+    QUERY_FAILED: 'Query failed',
+    PRICE_UNAVAILABLE: 'Price temporarily unavailable',
+    FX_UNAVAILABLE: 'Failed to get exchange rate',
+    SYSTEM_ERROR: 'System error',
+  },
+};
+
+// 插件自身产生的错误说明，按语言维护
+export const ERROR_DETAILS = {
+  DATE_REQUIRED: 'DATE_REQUIRED',
+  DATE_FORMAT: 'DATE_FORMAT',
+  DATE_INVALID: 'DATE_INVALID',
+  DATE_IN_FUTURE: 'DATE_IN_FUTURE',
+  DATE_TOO_EARLY: 'DATE_TOO_EARLY',
+  START_AFTER_END: 'START_AFTER_END',
+  SERIES_SINGLE_CODE: 'SERIES_SINGLE_CODE',
+  DEPTH_SINGLE_CODE: 'DEPTH_SINGLE_CODE',
+  FX_HISTORICAL: 'FX_HISTORICAL',
+} as const;
+
+export type ErrorDetail = typeof ERROR_DETAILS[keyof typeof ERROR_DETAILS];
+
+export const ERROR_DETAIL_MESSAGES: Record<Locale, Record<ErrorDetail, string>> = {
+  'zh-CN': {
+    DATE_REQUIRED: '请输入查询日期',
+    DATE_FORMAT: '请输入正确的日期格式（YYYY-MM-DD 或 YYYY/MM/DD），如：2024-01-15 或 2024/01/15',
+    DATE_INVALID: '请输入有效的日期',
+    DATE_IN_FUTURE: '查询日期不能是未来日期',
+    DATE_TOO_EARLY: '查询日期不能早于2000年1月1日',
+    START_AFTER_END: '开始日期不能晚于结束日期',
+    SERIES_SINGLE_CODE: '历史序列模式仅支持单个代码',
+    DEPTH_SINGLE_CODE: '盘口模式仅支持单个代码',
+    FX_HISTORICAL: '历史日期不支持币种换算，汇率数据源仅提供实时汇率',
+  },
+  'en-US': {
+    DATE_REQUIRED: 'Enter a query date',
+    DATE_FORMAT: 'Use the YYYY-MM-DD or YYYY/MM/DD format, e.g. 2024-01-15 or 2024/01/15',
+    DATE_INVALID: 'Enter a valid date',
+    DATE_IN_FUTURE: 'The query date cannot be in the future',
+    DATE_TOO_EARLY: 'The query date cannot be earlier than 2000-01-01',
+    START_AFTER_END: 'The start date cannot be later than the end date',
+    SERIES_SINGLE_CODE: 'Historical series mode supports a single code only',
+    DEPTH_SINGLE_CODE: 'Order book mode supports a single code only',
+    FX_HISTORICAL: 'Currency conversion is not available for past dates because only live exchange rates are available',
+  },
+};
+
+// 结果语言：取自表单的结果语言选项，未选择时为中文
+export function resolveLocale(option?: { value?: string } | null): Locale {
+  return option && option.value === 'en-US' ? 'en-US' : 'zh-CN';
+}
+
+/**
+ * 错误结果的附加字段，其余字段原样写入结果；错误提示后依次追加：
+ * - detailCode：插件自身的说明，按语言输出
+ * - detail：已按结果语言生成或与语言无关的说明（如币种对、异常信息）
+ * - sourceDetail：数据源或代码解析返回的原始说明（中文），仅在中文结果中追加
+ */
+export interface ErrorResultOptions {
+  id?: string;
+  symbol?: string;
+  date?: string;
+  detailCode?: ErrorDetail;
+  detail?: string;
+  sourceDetail?: string;
+  [key: string]: any;
+}
+
+/**
+ * 生成错误结果的字段数据：状态为 error，附带错误码和按语言输出的错误提示，价格置为不可用
+ */
+export function buildErrorData(errorCode: ErrorCode, locale: Locale, options: ErrorResultOptions) {
+  const { detailCode, detail, sourceDetail, ...data } = options;
+  const parts = [
+    ERROR_MESSAGES[locale][errorCode],
+    detailCode ? ERROR_DETAIL_MESSAGES[locale][detailCode] : '',
+    detail || '',
+    locale === 'zh-CN' && sourceDetail ? sourceDetail : ''
+  ];
+
+  return {
+    ...data,
+    id: data.id || `error_${Date.now()}`,
+    status: STATUS.ERROR,
+    errorCode,
+    errorMessage: parts.filter(part => part).join(': '),
+    symbol: data.symbol || '',
+    price: CONFIG.PRICE_UNAVAILABLE,
+    date: data.date || ''
+  };
+}
@@ -0,0 +1,42 @@
+// ==================== 持仓估值 ====================
+// 持仓估值结果：价格无效或未填写持仓数量时为 null，供表格公式直接引用
+export interface HoldingValuation {
+  marketValue: number | null;
+  profit: number | null;
+  profitPercent: number | null;
+}
+
+// 读取数字字段引用的单元格值，空值或非数字返回 null
+export function readNumberInput(value: unknown): number | null {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = parseFloat(value.replace(/,/g, ''));
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  return null;
+}
+
+/**
+ * 计算持仓市值、浮动盈亏及盈亏比例
+ * 仅在价格有效（正数）时计算；未填写成本价时只返回市值
+ */
+export function computeHolding(price: number | null, quantity: number | null, costPrice: number | null): HoldingValuation {
+  const valuation: HoldingValuation = { marketValue: null, profit: null, profitPercent: null };
+  if (typeof price !== 'number' || price <= 0 || quantity === null) {
+    return valuation;
+  }
+
+  valuation.marketValue = parseFloat((price * quantity).toFixed(4));
+
+  if (costPrice !== null && costPrice > 0) {
+    const cost = costPrice * quantity;
+    valuation.profit = parseFloat((valuation.marketValue - cost).toFixed(4));
+    valuation.profitPercent = cost !== 0 ? parseFloat(((price - costPrice) / costPrice).toFixed(6)) : null;
+  }
+
+  return valuation;
+}
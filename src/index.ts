@@ -1,4 +1,31 @@
 import { basekit, FieldType, field, FieldComponent, FieldCode, NumberFormatter } from '@lark-opdev/block-basekit-server-api';
+import { CONFIG, PATTERNS } from './config';
+import { AssetTypeOption, Currency, FundValuationMode, OutputMode, PriceAdjustment, QueryOptions, TargetCurrency, ToggleOption, VALUATION_TYPES, ValuationType } from './types';
+import { getMarket, isHistoricalDate, shiftDate } from './utils';
+import { getCalendarRegion, getFundNavCacheTtl, getMarketSession, getMarketStatusOn, getSessionCacheTtl } from './calendar';
+import { applyExchangeRate, getMarketCurrency } from './currency';
+import { computeHolding, readNumberInput } from './holding';
+import { ALERT_TYPES, AlertRule, evaluatePriceAlert, hasAlertRule } from './alert';
+import { classifySymbol, findMarketRule, normalizeSymbol, resolveBareCode } from './markets';
+import { resolveSymbol, SymbolResolution } from './resolver';
+import { BasketEntry, BasketItemResult, formatBasketName, formatBasketSizeError, isBasketInput, joinBasketDetails, parseBasketInput, summarizeBasket } from './basket';
+import { buildSeriesCsv, computeSeriesStats } from './series';
+import { EMPTY_PERIOD_METRICS, fetchPeriodMetrics, PeriodMetrics } from './performance';
+import { computeDividendYield, CorporateActionSummary, EMPTY_CORPORATE_ACTIONS, summarizeCorporateActions } from './corporateActions';
+import { FUND_PROVIDERS, STOCK_PROVIDERS, ProviderContext, ProviderQuote, runProviderChain, tencentProvider } from './providers';
+import { fetchLiveFundEstimate } from './providers/fundgz';
+import { isMoneyFundQuote } from './providers/pingzhongdata';
+import { fetchTencentDepth, fetchTencentFundamentals, fetchTencentQuotes, OrderBookLevel, parseTencentQuotes } from './providers/tencent';
+import { canConvertAt, getExchangeRate } from './providers/fx';
+import { fetchPriceSeries } from './providers/series';
+import { fetchFundProfile, formatHoldings } from './providers/fundProfile';
+import { fetchEastmoneyStockProfile } from './providers/eastmoneyStock';
+import { CorporateAction, fetchCorporateActions } from './providers/corporateActions';
+import { buildErrorData, ERROR_CODES, ERROR_DETAIL_MESSAGES, ERROR_DETAILS, ERROR_MESSAGES, ErrorCode, ErrorDetail, ErrorResultOptions, Locale, resolveLocale, STATUS } from './errors';
+import { buildCacheSnapshot, CacheSnapshotEntry, CacheStore, createFileCacheStore, readCacheSnapshot } from './cacheStore';
+import { HighPerformanceLRUCache } from './lruCache';
+import { createResultStore, StoredRequest } from './resultStore';
+import { BatchQueryOptimizer, BatchQueryOptions, QueryRequest } from './batchQuery';
 
 // Node.js 14.21.0 兼容性：添加 AbortController、TextDecoder 和 fetch polyfill
 if (typeof global.AbortController === 'undefined') {
@@ -100,116 +127,26 @@ interface QueryResult {
   hasValidData?: boolean;
 }
 
-interface QueueItem {
-  resolve: (value: QueryResult) => void;
-  reject: (reason: any) => void;
-}
-
 interface CacheItem {
   data: any;
   timestamp: number;
   hitCount?: number;
 }
 
-// ==================== 高性能LRU缓存实现 ====================
-class HighPerformanceLRUCache<T> {
-  private cache = new Map<string, { value: T; timestamp: number; accessCount: number }>();
-  private maxSize: number;
-  private hitCount = 0;
-  private missCount = 0;
-
-  constructor(maxSize: number = 1000) {
-    this.maxSize = maxSize;
-  }
-
-  set(key: string, value: T): void {
-    if (this.cache.has(key)) {
-      const item = this.cache.get(key)!;
-      item.value = value;
-      item.timestamp = Date.now();
-      item.accessCount++;
-      this.cache.delete(key);
-      this.cache.set(key, item);
-    } else {
-      if (this.cache.size >= this.maxSize) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
-      }
-      this.cache.set(key, {
-        value,
-        timestamp: Date.now(),
-        accessCount: 1
-      });
-    }
-  }
-
-  get(key: string, ttl: number): T | null {
-    const item = this.cache.get(key);
-    if (!item) {
-      this.missCount++;
-      return null;
-    }
-
-    if (Date.now() - item.timestamp > ttl) {
-      this.cache.delete(key);
-      this.missCount++;
-      return null;
-    }
-
-    item.accessCount++;
-    item.timestamp = Date.now();
-    this.cache.delete(key);
-    this.cache.set(key, item);
-    
-    this.hitCount++;
-    return item.value;
-  }
-
-  clear(): void {
-    this.cache.clear();
-    this.hitCount = 0;
-    this.missCount = 0;
-  }
-
-  getStats() {
-    const total = this.hitCount + this.missCount;
-    return {
-      size: this.cache.size,
-      hitRate: total > 0 ? (this.hitCount / total * 100).toFixed(2) + '%' : '0%',
-      hitCount: this.hitCount,
-      missCount: this.missCount
-    };
-  }
-
-  // 添加缓存清理方法
-  cleanup(ttl: number): void {
-    const now = Date.now();
-    for (const [key, item] of this.cache.entries()) {
-      if (now - item.timestamp > ttl) {
-        this.cache.delete(key);
-      }
-    }
-  }
-}
-
-// ==================== 优化后的配置常量 ====================
-const CONFIG = {
-  PRICE_RANGE: { MIN: 0.01, MAX: 10000 },
-  REQUEST_TIMEOUT: 8000,
-  RETRY_COUNT: 2,
-  RETRY_DELAY: 500,
-  PRICE_UNAVAILABLE: null,
-  CACHE_TTL: 45000,
-  BATCH_CACHE_TTL: 180000,
-  MAX_CACHE_SIZE: 500,
-  CACHE_CLEANUP_INTERVAL: 120000,
-  BATCH_DELAY: 20,
-  MAX_CONCURRENT_REQUESTS: 5,
-};
-
 // ==================== 优化后的缓存系统 ====================
+// 原始响应体（基金页面 HTML、净值脚本等）体积大且有效期短，不做持久化
 const requestCache = new HighPerformanceLRUCache<any>(CONFIG.MAX_CACHE_SIZE);
-const batchResultCache = new HighPerformanceLRUCache<any>(CONFIG.MAX_CACHE_SIZE);
+const batchResultCache = new HighPerformanceLRUCache<any>(CONFIG.MAX_CACHE_SIZE, () => scheduleSnapshotSave('batchResult'));
+// 历史日期的收盘价/净值不会再变化，单独缓存并使用更长的 TTL
+const historyResultCache = new HighPerformanceLRUCache<any>(CONFIG.MAX_CACHE_SIZE, () => scheduleSnapshotSave('historyResult'));
+// 名称/拼音到查询代码的解析结果变化很少，使用更长的 TTL
+const symbolCache = new HighPerformanceLRUCache<SymbolResolution>(CONFIG.MAX_CACHE_SIZE, () => scheduleSnapshotSave('symbol'));
+// 最近一次成功的实时结果：数据源失败时作为过期结果返回
+const lastGoodResultCache = new HighPerformanceLRUCache<any>(CONFIG.MAX_CACHE_SIZE, () => scheduleSnapshotSave('lastGoodResult'));
+// 分红、送转和拆分记录变化很少，按代码长时间缓存
+const corporateActionCache = new HighPerformanceLRUCache<CorporateAction[]>(CONFIG.MAX_CACHE_SIZE, () => scheduleSnapshotSave('corporateAction'));
+// 各缓存键的连续失败次数，用于失败结果的退避缓存时间
+const failureCountCache = new HighPerformanceLRUCache<number>(CONFIG.MAX_CACHE_SIZE);
 const pendingRequests = new Map<string, Promise<any>>();
 
 // 请求去重和并发控制
@@ -251,22 +188,6 @@ function processQueue(): void {
   }
 }
 
-// 预编译正则表达式
-const PATTERNS = {
-  FUND_CODE: /^\d{6}$/,
-  STOCK_CODE: /^(sh|sz|hk|us)[a-z0-9]+$/i,
-  PURE_NUMBER: /^\d+\.?\d*$/,
-  DATE_FORMAT: /^\d{4}-\d{2}-\d{2}$/,
-  PERCENTAGE: /^[+-]?\d*\.?\d+%$/,
-  PRICE_PATTERN: /(\d+\.\d{2,4})/,
-  DATE_PATTERNS: [
-    /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/g,
-    /(\d{4}年\d{1,2}月\d{1,2}日)/g,
-    /更新时间[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi,
-    /净值日期[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi
-  ]
-};
-
 // ==================== 工具函数 ====================
 // 缓存清理定时器引用
 let cacheCleanupTimer: NodeJS.Timeout | null = null;
@@ -275,6 +196,11 @@ let cacheCleanupTimer: NodeJS.Timeout | null = null;
 function cleanExpiredCache(): void {
   requestCache.cleanup(CONFIG.CACHE_TTL);
   batchResultCache.cleanup(CONFIG.BATCH_CACHE_TTL);
+  historyResultCache.cleanup(CONFIG.HISTORY_CACHE_TTL);
+  symbolCache.cleanup(CONFIG.SYMBOL_CACHE_TTL);
+  lastGoodResultCache.cleanup(CONFIG.STALE_RESULT_MAX_AGE);
+  failureCountCache.cleanup(CONFIG.FAILURE_RESET_TTL);
+  corporateActionCache.cleanup(CONFIG.CORPORATE_ACTION_CACHE_TTL);
 }
 
 // 启动定期缓存清理
@@ -290,11 +216,90 @@ function stopCacheCleanup(): void {
     clearInterval(cacheCleanupTimer);
     cacheCleanupTimer = null;
   }
+  if (snapshotTimer) {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+  }
 }
 
 // 在模块加载时启动缓存清理
 startCacheCleanup();
 
+// ==================== 缓存持久化 ====================
+// FaaS 实例回收后内存缓存清空：首次查询前从快照恢复，写入后延迟批量写回
+// 失败计数和进行中的请求只对当前实例有意义，原始响应体会挤占快照空间，均不做持久化
+const cacheStore: CacheStore | null = CONFIG.CACHE_SNAPSHOT_ENABLED ? createFileCacheStore() : null;
+
+const PERSISTED_CACHES: Array<{ name: string; cache: HighPerformanceLRUCache<any>; ttl: number }> = [
+  { name: 'batchResult', cache: batchResultCache, ttl: CONFIG.BATCH_CACHE_TTL },
+  { name: 'historyResult', cache: historyResultCache, ttl: CONFIG.HISTORY_CACHE_TTL },
+  { name: 'symbol', cache: symbolCache, ttl: CONFIG.SYMBOL_CACHE_TTL },
+  { name: 'lastGoodResult', cache: lastGoodResultCache, ttl: CONFIG.STALE_RESULT_MAX_AGE },
+  { name: 'corporateAction', cache: corporateActionCache, ttl: CONFIG.CORPORATE_ACTION_CACHE_TTL },
+];
+
+let snapshotLoading: Promise<void> | null = null;
+let snapshotTimer: NodeJS.Timeout | null = null;
+// 上次写回后有写入的缓存，写回时只重新生成这些缓存的快照
+const dirtySnapshots = new Set<string>();
+
+// 从快照恢复各缓存，每个实例只执行一次；快照缺失或损坏时按空缓存启动
+function loadCacheSnapshots(): Promise<void> {
+  if (!snapshotLoading) {
+    snapshotLoading = Promise.all(PERSISTED_CACHES.map(async ({ name, cache }) => {
+      if (!cacheStore) return;
+      try {
+        const text = await cacheStore.get(`snapshot_${name}`);
+        if (text) {
+          cache.restore(readCacheSnapshot(text));
+        }
+      } catch (error) {
+        console.warn(`缓存快照 ${name} 读取失败:`, error);
+      }
+    })).then(() => undefined);
+  }
+  return snapshotLoading;
+}
+
+// 写回有变化的缓存快照：快照整体的有效期取其中最晚的过期时刻
+async function saveCacheSnapshots(): Promise<void> {
+  if (!cacheStore) return;
+
+  const now = Date.now();
+  const changed = PERSISTED_CACHES.filter(({ name }) => dirtySnapshots.has(name));
+  dirtySnapshots.clear();
+  await Promise.all(changed.map(async ({ name, cache, ttl }) => {
+    const entries: CacheSnapshotEntry[] = cache.snapshot(ttl);
+    try {
+      if (entries.length === 0) {
+        await cacheStore.delete(`snapshot_${name}`);
+        return;
+      }
+      const latestExpiry = Math.max(...entries.map(entry => entry.expiresAt));
+      await cacheStore.set(`snapshot_${name}`, buildCacheSnapshot(entries, CONFIG.CACHE_SNAPSHOT_MAX_BYTES, now), latestExpiry - now);
+    } catch (error) {
+      console.warn(`缓存快照 ${name} 写入失败:`, error);
+    }
+  }));
+}
+
+// 缓存写入后延迟写回，同一时间段内的多次写入合并为一次
+function scheduleSnapshotSave(name: string): void {
+  if (!cacheStore) return;
+
+  dirtySnapshots.add(name);
+  if (snapshotTimer) return;
+
+  snapshotTimer = setTimeout(() => {
+    snapshotTimer = null;
+    saveCacheSnapshots();
+  }, CONFIG.CACHE_SNAPSHOT_DELAY);
+  // 不因等待写回而阻止进程退出
+  if (typeof snapshotTimer.unref === 'function') {
+    snapshotTimer.unref();
+  }
+}
+
 // 网络请求函数 - 带重试机制和并发控制
 async function fetchWithRetry(url: string, options: RequestInit = {}): Promise<Response> {
   return executeWithConcurrencyControl(async () => {
@@ -332,15 +337,16 @@ async function fetchWithRetry(url: string, options: RequestInit = {}): Promise<R
   });
 }
 
-// 请求去重函数
-async function fetchWithDeduplication(url: string, options: RequestInit = {}): Promise<string> {
+// 请求去重函数，encoding 为非 UTF-8 时（如 qt.gtimg.cn 的 GBK）按指定编码解码
+// cacheTtl 为读取请求缓存的有效期，为 0 时不读取请求缓存（仍合并进行中的相同请求，并写入新结果）
+async function fetchWithDeduplication(url: string, options: RequestInit = {}, encoding: string = 'utf-8', cacheTtl: number = CONFIG.CACHE_TTL): Promise<string> {
   const cacheKey = `${url}_${JSON.stringify(options)}`;
   
   if (pendingRequests.has(cacheKey)) {
     return await pendingRequests.get(cacheKey)!;
   }
   
-  const cached = requestCache.get(cacheKey, CONFIG.CACHE_TTL);
+  const cached = cacheTtl > 0 ? requestCache.get(cacheKey, cacheTtl) : null;
   if (cached) {
     return cached;
   }
@@ -348,7 +354,9 @@ async function fetchWithDeduplication(url: string, options: RequestInit = {}): P
   const requestPromise = (async () => {
     try {
       const response = await fetchWithRetry(url, options);
-      const text = await response.text();
+      const text = encoding.toLowerCase() === 'utf-8'
+        ? await response.text()
+        : new TextDecoder(encoding).decode(await response.arrayBuffer());
       
       requestCache.set(cacheKey, text);
       
@@ -362,15 +370,6 @@ async function fetchWithDeduplication(url: string, options: RequestInit = {}): P
   return await requestPromise;
 }
 
-// 基金数据获取函数
-async function fetchFundData(fundCode: string): Promise<string> {
-  return await fetchWithDeduplication(`https://fund.eastmoney.com/${fundCode}.html`, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-    }
-  });
-}
-
 // ==================== 验证函数 ====================
 // ==================== 日期验证函数 ====================
 /**
@@ -378,12 +377,12 @@ async function fetchFundData(fundCode: string): Promise<string> {
  * @param dateStr 日期字符串
  * @returns 验证结果和格式化后的日期
  */
-function validateQueryDate(dateStr: string): { isValid: boolean; formattedDate: string; message?: string } {
+function validateQueryDate(dateStr: string): { isValid: boolean; formattedDate: string; detail?: ErrorDetail } {
   if (!dateStr || dateStr.trim() === '') {
     return {
       isValid: false,
       formattedDate: '',
-      message: '请输入查询日期'
+      detail: ERROR_DETAILS.DATE_REQUIRED
     };
   }
 
@@ -402,7 +401,7 @@ function validateQueryDate(dateStr: string): { isValid: boolean; formattedDate:
     return {
       isValid: false,
       formattedDate: '',
-      message: '请输入正确的日期格式（YYYY-MM-DD 或 YYYY/MM/DD），如：2024-01-15 或 2024/01/15'
+      detail: ERROR_DETAILS.DATE_FORMAT
     };
   }
 
@@ -412,7 +411,7 @@ function validateQueryDate(dateStr: string): { isValid: boolean; formattedDate:
     return {
       isValid: false,
       formattedDate: '',
-      message: '请输入有效的日期'
+      detail: ERROR_DETAILS.DATE_INVALID
     };
   }
 
@@ -424,7 +423,7 @@ function validateQueryDate(dateStr: string): { isValid: boolean; formattedDate:
     return {
       isValid: false,
       formattedDate: '',
-      message: '查询日期不能是未来日期'
+      detail: ERROR_DETAILS.DATE_IN_FUTURE
     };
   }
 
@@ -432,504 +431,112 @@ function validateQueryDate(dateStr: string): { isValid: boolean; formattedDate:
     return {
       isValid: false,
       formattedDate: '',
-      message: '查询日期不能早于2000年1月1日'
+      detail: ERROR_DETAILS.DATE_TOO_EARLY
     };
   }
 
   return { isValid: true, formattedDate: normalizedDate };
 }
 
-function validateStockCode(code: string): { isValid: boolean; type: 'stock' | 'fund' | 'unknown'; message?: string } {
+function validateStockCode(code: string): { isValid: boolean; type: 'stock' | 'fund' | 'unknown'; currency?: Currency; message?: string } {
   const trimmedCode = code.trim().toLowerCase();
   
   if (!trimmedCode) {
-    return {
-      isValid: false,
-      type: 'unknown',
-      message: '请输入有效的股票代码（如：sh000001、sz000001、hk00700、usAAPL）或基金代码（如：000311）'
-    };
-  }
-  
-  // 如果有前缀 sz、sh、hk、us 就认为是股票
-  if (trimmedCode.startsWith('sz') || trimmedCode.startsWith('sh') || 
-      trimmedCode.startsWith('hk') || trimmedCode.startsWith('us')) {
-    return { isValid: true, type: 'stock' };
-  }
-  
-  // 如果是纯数字就认为是基金
-  if (/^\d+$/.test(trimmedCode)) {
-    return { isValid: true, type: 'fund' };
+    return { isValid: false, type: 'unknown' };
   }
   
-  return {
-    isValid: false,
-    type: 'unknown',
-    message: '请输入有效的股票代码（如：sh000001、sz000001、hk00700、usAAPL）或基金代码（如：000311）'
-  };
-}
-
-// 统一的名称验证函数
-function isValidStockName(name: string): boolean {
-  if (!name || name.length === 0) return false;
-  if (PATTERNS.PURE_NUMBER.test(name)) return false;
-  if (name.includes('%')) return false;
-  if (PATTERNS.DATE_FORMAT.test(name)) return false;
-  if (name.endsWith('OQ') || name.endsWith('oq')) return false;
-  
-  return true;
-}
-
-// ==================== 解析函数 ====================
-// 基金名称解析 - 优化版本
-function parseFundName(html: string, fundCode: string): string {
-  // 使用 indexOf 替代正则表达式进行初步筛选
-  const titleStart = html.indexOf('<title>');
-  const titleEnd = html.indexOf('</title>');
-  
-  if (titleStart !== -1 && titleEnd !== -1) {
-    const titleContent = html.substring(titleStart + 7, titleEnd);
-    
-    // 查找基金名称的关键词位置
-    const fundIndex = titleContent.indexOf('基金');
-    const netValueIndex = titleContent.indexOf('净值');
-    
-    if (fundIndex !== -1 || netValueIndex !== -1) {
-      // 提取基金名称部分
-      let name = titleContent;
-      
-      // 移除括号内容
-      const parenStart = name.indexOf('(');
-      if (parenStart !== -1) {
-        name = name.substring(0, parenStart);
-      }
-      
-      name = name.trim();
-      if (name && name !== `基金${fundCode}`) {
-        return name;
-      }
-    }
-  }
-
-  // 备用方案：查找 h1 标签
-  const h1Start = html.indexOf('<h1');
-  if (h1Start !== -1) {
-    const h1ContentStart = html.indexOf('>', h1Start) + 1;
-    const h1End = html.indexOf('</h1>', h1ContentStart);
-    
-    if (h1ContentStart > 0 && h1End !== -1) {
-      const name = html.substring(h1ContentStart, h1End).trim();
-      if (name && name !== `基金${fundCode}`) {
-        return name;
-      }
-    }
-  }
-
-  return `基金${fundCode}`;
-}
-
-// 定义基金净值数据接口
-interface FundNetValueData {
-  date: string;
-  netValue: number;
-  source: string;
-  context: string;
-}
-
-
-
-// 单位净值强校验函数
-function validateNetValue(value: string): { isValid: boolean; price: number } {
-  const formatMatch = value.match(/^(\d+\.\d{4})$/);
-  if (!formatMatch) {
-    return { isValid: false, price: -1 };
-  }
-  
-  const price = parseFloat(formatMatch[1]);
-  
-  if (isNaN(price)) {
-    return { isValid: false, price: -1 };
-  }
-  
-  if (price < CONFIG.PRICE_RANGE.MIN || price > CONFIG.PRICE_RANGE.MAX) {
-    return { isValid: false, price: -1 };
-  }
-  
-  return { isValid: true, price };
-}
-
-// 日期格式化函数
-function normalizeDate(dateText: string): string {
-  const currentYear = new Date().getFullYear();
-  
-  if (/^\d{1,2}-\d{1,2}$/.test(dateText)) {
-    const [month, day] = dateText.split('-');
-    return `${currentYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-  
-  if (/^\d{1,2}\/\d{1,2}$/.test(dateText)) {
-    const [month, day] = dateText.split('/');
-    return `${currentYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-  
-  return extractDateFromContext(dateText);
-}
-
-// 基金价格解析 - 优化版本
-function parseFundPrice(html: string): number {
-  const foundItems: FundNetValueData[] = [];
-  
-  // 策略1：优先查找表格
-  const tableMatches = html.match(/<table[^>]*>[\s\S]*?<\/table>/gi);
-  if (tableMatches) {
-    for (const table of tableMatches) {
-      if (table.includes('单位净值')) {
-        const rows = table.match(/<tr[^>]*>[\s\S]*?<\/tr>/gi);
-        if (!rows) continue;
-        
-        let netValueColumnIndex = -1;
-        
-        // 找到"单位净值"列的索引
-        for (let i = 0; i < rows.length; i++) {
-          const row = rows[i];
-          if (row.includes('单位净值')) {
-            const cells = row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi);
-            if (cells) {
-              for (let j = 0; j < cells.length; j++) {
-                if (cells[j].includes('单位净值')) {
-                  netValueColumnIndex = j;
-                  break;
-                }
-              }
-            }
-            break;
-          }
-        }
-        
-        // 解析数据行
-        if (netValueColumnIndex !== -1) {
-          for (const row of rows) {
-            if (row.includes('单位净值') || row.includes('<th')) continue;
-            
-            const cells = row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi);
-            if (!cells || cells.length <= netValueColumnIndex) continue;
-            
-            const dateText = cells[0].replace(/<[^>]*>/g, '').trim();
-            const priceText = cells[netValueColumnIndex].replace(/<[^>]*>/g, '').trim();
-            
-            const validation = validateNetValue(priceText);
-            if (validation.isValid) {
-              const normalizedDate = normalizeDate(dateText);
-              
-              if (normalizedDate !== 'NO_DATE_FOUND') {
-                foundItems.push({
-                  date: normalizedDate,
-                  netValue: validation.price,
-                  source: 'table_parsing',
-                  context: ''
-                });
-              }
-            }
-          }
-        }
-      }
+  // 带市场前缀（sh、sz、bj、hk、us、nf）按各市场的代码格式校验
+  const rule = findMarketRule(trimmedCode);
+  if (rule) {
+    if (!rule.pattern.test(trimmedCode)) {
+      return { isValid: false, type: 'unknown', message: rule.message };
     }
+    return { isValid: true, type: 'stock', currency: getMarketCurrency(rule.market) };
   }
   
-  // 策略2：如果表格没找到数据，使用关键词搜索
-  if (foundItems.length === 0) {
-    const keyword = '单位净值';
-    let searchIndex = 0;
-    
-    while (true) {
-      const keywordIndex = html.indexOf(keyword, searchIndex);
-      if (keywordIndex === -1) break;
-      
-      const contextStart = Math.max(0, keywordIndex - 200);
-      const contextEnd = Math.min(html.length, keywordIndex + 500);
-      const context = html.substring(contextStart, contextEnd);
-      
-      const priceMatches = context.match(/\d+\.\d{4}/g);
-      if (priceMatches) {
-        for (const priceText of priceMatches) {
-          const validation = validateNetValue(priceText);
-          if (validation.isValid) {
-            const dateFound = extractDateFromContext(context);
-            
-            if (dateFound !== 'NO_DATE_FOUND') {
-              foundItems.push({
-                date: dateFound,
-                netValue: validation.price,
-                source: 'keyword_search',
-                context: ''
-              });
-            }
-          }
-        }
-      }
-      
-      searchIndex = keywordIndex + 1;
-    }
+  // 6位纯数字按基金/沪深北证券查询（均以人民币计价）
+  if (PATTERNS.FUND_CODE.test(trimmedCode)) {
+    return { isValid: true, type: 'fund', currency: 'CNY' };
   }
   
-  // 选择最新日期的净值
-  if (foundItems.length > 0) {
-    foundItems.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
-    return foundItems[0].netValue;
+  if (/^\d+$/.test(trimmedCode)) {
+    return { isValid: false, type: 'unknown', message: '基金及沪深北证券代码应为 6 位数字，如 000311、600519' };
   }
   
-  return -1;
+  return { isValid: false, type: 'unknown' };
 }
 
-// 辅助函数：从上下文中提取日期（增强版）
-function extractDateFromContext(context: string): string {
-  // 添加调试信息
-  const debugDateInfo = {
-    originalContext: context.substring(0, 200),
-    foundDates: [] as Array<{pattern: string, match: string, normalized: string}>
-  };
-
-  // 尝试多种日期格式，按优先级排序
-  const datePatterns = [
-    { name: 'standard_date', regex: /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/g },           // 2024-01-15 或 2024/1/15
-    { name: 'chinese_date', regex: /(\d{4}年\d{1,2}月\d{1,2}日)/g },              // 2024年1月15日
-    { name: 'net_value_date', regex: /净值日期[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },  // 净值日期：2024-01-15
-    { name: 'update_time', regex: /更新时间[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },   // 更新时间：2024-01-15
-    { name: 'date_label', regex: /日期[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },        // 日期：2024-01-15
-    { name: 'time_label', regex: /时间[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },        // 时间：2024-01-15
-    { name: 'short_date', regex: /(\d{1,2}[-\/]\d{1,2})/g },                      // 01-15 或 1/15 (当年)
-    { name: 'timestamp', regex: /(\d{8})/g }                                      // 20241015 格式
-  ];
-  
-  for (const pattern of datePatterns) {
-    let match;
-    pattern.regex.lastIndex = 0; // 重置正则表达式状态
-    
-    while ((match = pattern.regex.exec(context)) !== null) {
-      const dateStr = match[1];
-      let normalizedDate = '';
-      
-      try {
-        if (pattern.name === 'chinese_date') {
-          // 处理中文日期格式
-          normalizedDate = dateStr
-            .replace(/年/g, '-')
-            .replace(/月/g, '-')
-            .replace(/日/g, '');
-        } else if (pattern.name === 'short_date') {
-          // 处理短日期格式，补充当前年份
-          const currentYear = new Date().getFullYear();
-          normalizedDate = `${currentYear}-${dateStr.replace(/\//g, '-')}`;
-        } else if (pattern.name === 'timestamp') {
-          // 处理8位时间戳格式 YYYYMMDD
-          if (dateStr.length === 8) {
-            normalizedDate = `${dateStr.substring(0,4)}-${dateStr.substring(4,6)}-${dateStr.substring(6,8)}`;
-          }
-        } else {
-          // 标准化其他格式
-          normalizedDate = dateStr.replace(/\//g, '-');
-        }
-        
-        // 验证日期有效性
-        const parsedDate = new Date(normalizedDate);
-        if (!isNaN(parsedDate.getTime()) && parsedDate.getFullYear() > 2000 && parsedDate.getFullYear() <= new Date().getFullYear() + 1) {
-          debugDateInfo.foundDates.push({
-            pattern: pattern.name,
-            match: dateStr,
-            normalized: normalizedDate
-          });
-          
-          // 输出日期解析调试信息
-          console.log(`日期解析成功: ${pattern.name} -> ${dateStr} -> ${normalizedDate}`);
-          
-          return normalizedDate;
-        }
-      } catch (error) {
-        console.log(`日期解析失败: ${pattern.name} -> ${dateStr} -> 错误: ${error}`);
-      }
-    }
-  }
-  
-  // 如果没有找到有效日期，不要返回今天的日期，而是返回一个特殊标记
-  console.log(`未找到有效日期，上下文: ${context.substring(0, 100)}...`);
-  console.log(`日期解析调试信息:`, JSON.stringify(debugDateInfo, null, 2));
-  
-  return 'NO_DATE_FOUND';
-}
+// ==================== 查询函数 ====================
+// 数据源请求上下文：所有数据源共用带重试、并发控制和去重缓存的请求函数
+const providerContext: ProviderContext = {
+  fetchText: fetchWithDeduplication
+};
 
-// 基金日期解析 - 优化版本
-function parseFundDate(html: string): string {
-  // 使用 indexOf 查找日期关键词
-  const dateKeywords = ['更新时间', '净值日期'];
-  
-  for (const keyword of dateKeywords) {
-    const keywordIndex = html.indexOf(keyword);
-    if (keywordIndex !== -1) {
-      const searchStart = keywordIndex + keyword.length;
-      const searchText = html.substring(searchStart, searchStart + 30);
-      
-      // 查找日期格式
-      const dateMatch = searchText.match(/(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/);
-      if (dateMatch && dateMatch[1]) {
-        return dateMatch[1].replace(/\//g, '-');
-      }
-    }
-  }
-  
-  // 备用方案：查找任何日期格式
-  for (const pattern of PATTERNS.DATE_PATTERNS) {
-    const dateMatch = html.match(pattern);
-    if (dateMatch && dateMatch[1]) {
-      return dateMatch[1].replace(/年|月/g, '-').replace(/日/g, '').replace(/\//g, '-');
-    }
-  }
-  
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-}
+// 强制刷新时使用的请求上下文：跳过请求缓存
+const refreshContext: ProviderContext = {
+  fetchText: (url, options, encoding) => fetchWithDeduplication(url, options, encoding, 0)
+};
 
-// 股票交易日期获取
-function getActualTradeDate(dataArr: string[]): string {
-  if (dataArr.length > 30 && dataArr[30] && /^\d{8}$/.test(dataArr[30])) {
-    const dateStr = dataArr[30];
-    return `${dateStr.substring(0,4)}-${dateStr.substring(4,6)}-${dateStr.substring(6,8)}`;
-  }
-  
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-}
+// 盘口请求上下文：盘口变化快，只复用 DEPTH_CACHE_TTL 内的响应
+const depthContext: ProviderContext = {
+  fetchText: (url, options, encoding) => fetchWithDeduplication(url, options, encoding, CONFIG.DEPTH_CACHE_TTL)
+};
 
-// 股票名称提取 - 优化版本
-function extractStockNameFromQtData(dataArr: string[]): string {
-  if (dataArr.length < 2) return '';
-  
-  const stockName = dataArr[1] && dataArr[1].trim();
-  
-  if (stockName && stockName.length > 0) {
-    let cleanedName = stockName;
-    if (cleanedName.endsWith('OQ') || cleanedName.endsWith('oq')) {
-      cleanedName = cleanedName.slice(0, -2).trim();
-    }
-    
-    if (isValidStockName(cleanedName)) {
-      return cleanedName;
-    }
-  }
-  
-  return '';
+function getProviderContext(forceRefresh?: boolean): ProviderContext {
+  return forceRefresh ? refreshContext : providerContext;
 }
 
-// 价格提取 - 优化版本
-function extractPriceFromQtData(dataArr: string[]): number {
-  if (dataArr.length < 4) return 0;
-  
-  const priceStr = dataArr[3] && dataArr[3].trim();
-  
-  if (priceStr) {
-    const price = parseFloat(priceStr);
-    if (!isNaN(price) && price > 0) {
-      return price;
-    }
-  }
-  
-  return 0;
+// 合并数据源错误信息（去重），用于失败结果展示
+function summarizeProviderErrors(errors: string[], fallbackMessage: string): string {
+  const uniqueErrors = errors.filter((error, index) => errors.indexOf(error) === index);
+  return uniqueErrors.length > 0 ? uniqueErrors.join('；') : fallbackMessage;
 }
 
-// 股票数据解析 - 优化版本
-function parseStockDataFromQtGtimg(responseText: string): {
-  name: string;
-  price: number;
-  success: boolean;
-  error?: string;
-} {
-  try {
-    // 使用 indexOf 查找变量定义的位置
-    const varStart = responseText.indexOf('v_s_');
-    if (varStart === -1) {
-      return {
-        name: '',
-        price: 0,
-        success: false,
-        error: '数据格式不匹配'
-      };
-    }
-
-    // 查找等号和引号的位置
-    const equalIndex = responseText.indexOf('=', varStart);
-    const quoteStart = responseText.indexOf('"', equalIndex);
-    const quoteEnd = responseText.indexOf('"', quoteStart + 1);
-    
-    if (equalIndex === -1 || quoteStart === -1 || quoteEnd === -1) {
-      return {
-        name: '',
-        price: 0,
-        success: false,
-        error: '数据格式不匹配'
-      };
-    }
-
-    const dataString = responseText.substring(quoteStart + 1, quoteEnd);
-    const dataArr = dataString.split('~');
-    
-    if (dataArr.length < 4) {
-      return {
-        name: '',
-        price: 0,
-        success: false,
-        error: `数据字段不足，仅有${dataArr.length}个字段`
-      };
-    }
-
-    const stockName = extractStockNameFromQtData(dataArr);
-    const price = extractPriceFromQtData(dataArr);
-    
-    if (!stockName) {
-      return {
-        name: '',
-        price: price,
-        success: false,
-        error: '股票名称为空或无效'
-      };
-    }
-
-    return {
-      name: stockName,
-      price: price,
-      success: true
-    };
-
-  } catch (error) {
-    return {
-      name: '',
-      price: 0,
-      success: false,
-      error: `解析异常: ${String(error)}`
-    };
-  }
-}
+// 基金查询：按 FUND_PROVIDERS 顺序故障切换；货币基金以七日年化为有效数据，价格取固定净值
+async function queryFund(fundCode: string, options: QueryOptions = {}, context: ProviderContext = providerContext): Promise<QueryResult> {
+  const { queryDate, fundValuation = 'nav' } = options;
 
-// ==================== 查询函数 ====================
-// 基金查询
-async function queryFund(fundCode: string): Promise<QueryResult> {
   try {
-    const html = await fetchFundData(fundCode);
-    const fundName = parseFundName(html, fundCode);
-    const netValue = parseFundPrice(html);
-    const valueDate = parseFundDate(html);
-
-    if (!fundName || fundName.trim() === '') {
+    const chainResult = await runProviderChain(
+      FUND_PROVIDERS,
+      [fundCode],
+      options,
+      context,
+      quote => (quote.price > 0 || isMoneyFundQuote(quote)) && quote.name !== `基金${fundCode}`
+    );
+
+    // 名称无法解析时视为不存在该基金，不返回占位名称
+    if (!chainResult.quote || (!chainResult.success && chainResult.quote.name === `基金${fundCode}`)) {
       return {
         code: FieldCode.Error,
-        message: `基金代码 ${fundCode} 无法解析基金名称`,
+        message: summarizeProviderErrors(chainResult.errors, `基金代码 ${fundCode} 无法解析基金名称`),
         hasValidData: false
       };
     }
 
-    if (netValue === -1) {
-      // 基金净值获取失败，设为-1
+    const { name: fundName, details: quoteDetails } = chainResult.quote;
+    const isMoneyFund = isMoneyFundQuote(chainResult.quote);
+    let netValue = isMoneyFund ? CONFIG.MONEY_FUND_NAV : chainResult.quote.price;
+    let valueDate = chainResult.quote.date;
+    let details = quoteDetails;
+    let valuationType: ValuationType = isMoneyFund ? VALUATION_TYPES.FIXED_NAV : VALUATION_TYPES.NAV;
+    let valuationTime = '';
+
+    // 货币基金没有盘中估值
+    if (!isMoneyFund && !isHistoricalDate(queryDate) && fundValuation === 'estimate') {
+      // 盘中估值：仅在交易时段且估值时间为当天时采用，否则保留已公布的单位净值
+      const session = getMarketSession('CN');
+      const estimate = await fetchLiveFundEstimate(fundCode, context, session);
+
+      if (estimate) {
+        netValue = estimate.estimatedNav;
+        valueDate = session.localDate;
+        details = { ...details, changePercent: estimate.estimatedChangePercent };
+        valuationType = VALUATION_TYPES.ESTIMATE;
+        valuationTime = estimate.estimateTime;
+      }
     }
 
-    const hasValidData = fundName && fundName !== `基金${fundCode}` && netValue > 0;
-
     return {
       code: FieldCode.Success,
       data: {
@@ -938,8 +545,12 @@ async function queryFund(fundCode: string): Promise<QueryResult> {
         name: fundName,
         price: netValue,
         date: valueDate,
+        ...details,
+        valuationType,
+        valuationTime,
+        provider: chainResult.provider
       },
-      hasValidData: hasValidData
+      hasValidData: chainResult.success
     };
 
   } catch (error) {
@@ -951,62 +562,68 @@ async function queryFund(fundCode: string): Promise<QueryResult> {
   }
 }
 
-// 股票查询
-async function queryStock(stockCode: string): Promise<QueryResult> {
-  try {
-    const symbol = stockCode;
-    let querySymbol = `s_${symbol}`;
-    
-    if (PATTERNS.FUND_CODE.test(symbol)) {
-      querySymbol = `s_sh${symbol}`;
-    }
-    
-    const response = await fetchWithRetry(`https://qt.gtimg.cn/q=${querySymbol}`, {
-      headers: {
-        'Referer': 'https://finance.qq.com/',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+// 输入代码解析：带前缀代码直接使用，6位代码按资产类型和号段规则确定查询代码，名称和拼音首字母通过搜索解析
+async function resolveInputCode(input: string, assetTypeOption: AssetTypeOption = 'auto'): Promise<SymbolResolution> {
+  const trimmed = input.trim();
+  const validation = validateStockCode(trimmed);
+  if (validation.isValid && validation.type === 'stock') {
+    const symbol = normalizeSymbol(trimmed);
+    return { success: true, symbol, assetType: classifySymbol(symbol) };
+  }
 
-    const arrayBuffer = await response.arrayBuffer();
-    const decoder = new TextDecoder('gbk');
-    const text = decoder.decode(arrayBuffer);
-    
-    if (text.includes('pv_none_match')) {
-      if (PATTERNS.FUND_CODE.test(symbol) && querySymbol.includes('sh')) {
-        return queryStock(`sz${symbol}`);
-      }
-      
-      return {
-        code: FieldCode.Error,
-        message: `股票代码 ${stockCode} 无法找到匹配数据，请检查代码格式`
-      };
+  if (validation.isValid && PATTERNS.FUND_CODE.test(trimmed)) {
+    return { success: true, ...resolveBareCode(trimmed, assetTypeOption) };
+  }
+
+  const cacheKey = trimmed.toLowerCase();
+  const cached = symbolCache.get(cacheKey, CONFIG.SYMBOL_CACHE_TTL);
+  if (cached) {
+    return cached;
+  }
+
+  const resolution = await resolveSymbol(trimmed, providerContext);
+  if (resolution.success && resolution.symbol) {
+    const resolved = { ...resolution, assetType: classifySymbol(resolution.symbol) };
+    symbolCache.set(cacheKey, resolved);
+    return resolved;
+  }
+
+  return {
+    success: false,
+    message: validation.message || resolution.message
+  };
+}
+
+// 证券查询结果
+function buildStockResult(stockCode: string, quote: ProviderQuote, provider?: string): QueryResult {
+  return {
+    code: FieldCode.Success,
+    data: {
+      id: `stock_${stockCode}_${Date.now()}`,
+      symbol: stockCode,
+      name: quote.name,
+      price: quote.price,
+      date: quote.date,
+      ...quote.details,
+      provider,
+      status: '查询成功'
     }
+  };
+}
 
-    const parseResult = parseStockDataFromQtGtimg(text);
-    
-    if (!parseResult.success) {
+// 证券查询（股票、场内基金、可转债、指数、期货）：按 STOCK_PROVIDERS 顺序故障切换
+async function queryStock(stockCode: string, options: QueryOptions = {}, context: ProviderContext = providerContext): Promise<QueryResult> {
+  try {
+    const chainResult = await runProviderChain(STOCK_PROVIDERS, [stockCode], options, context);
+
+    if (!chainResult.quote) {
       return {
         code: FieldCode.Error,
-        message: parseResult.error || '股票数据解析失败'
+        message: summarizeProviderErrors(chainResult.errors, `股票代码 ${stockCode} 无法找到匹配数据，请检查代码格式`)
       };
     }
 
-    const variableMatch = text.match(/v_s_[^=]+="([^"]+)"/);
-    const dataArr = variableMatch ? variableMatch[1].split('~') : [];
-    const actualTradeDate = getActualTradeDate(dataArr);
-
-    return {
-      code: FieldCode.Success,
-      data: {
-        id: `stock_${stockCode}_${Date.now()}`,
-        symbol: stockCode,
-        name: parseResult.name,
-        price: parseResult.price,
-        date: actualTradeDate,
-        status: '查询成功'
-      }
-    };
+    return buildStockResult(stockCode, chainResult.quote, chainResult.provider);
 
   } catch (error) {
     return {
@@ -1016,132 +633,738 @@ async function queryStock(stockCode: string): Promise<QueryResult> {
   }
 }
 
-// ==================== 批量查询优化器 ====================
-class BatchQueryOptimizer {
-  private static instance: BatchQueryOptimizer;
-  private queryQueue: Map<string, QueueItem[]> = new Map();
-  private processingTimer: NodeJS.Timeout | null = null;
-
-  static getInstance(): BatchQueryOptimizer {
-    if (!BatchQueryOptimizer.instance) {
-      BatchQueryOptimizer.instance = new BatchQueryOptimizer();
-    }
-    return BatchQueryOptimizer.instance;
+// 有效实时结果的缓存时间：场外基金净值按预计公布时间，其余（含基金盘中估值）按所在市场的交易状态
+function getResultCacheTtl(request: StoredRequest, result: QueryResult): number {
+  const market = getMarket(request.stockCode);
+  if (market === 'fund' && result.data.valuationType !== VALUATION_TYPES.ESTIMATE) {
+    return getFundNavCacheTtl(result.data.date);
   }
 
-  async addQuery(stockCode: string): Promise<QueryResult> {
-    return new Promise((resolve, reject) => {
-      const normalizedCode = this.normalizeStockCode(stockCode);
-      
-      if (!this.queryQueue.has(normalizedCode)) {
-        this.queryQueue.set(normalizedCode, []);
-      }
-      
-      this.queryQueue.get(normalizedCode)!.push({ resolve, reject });
-      this.scheduleBatchProcess();
-    });
-  }
+  return getSessionCacheTtl(getMarketSession(getCalendarRegion(market)));
+}
 
-  private normalizeStockCode(code: string): string {
-    const trimmed = code.trim();
-    
-    if (trimmed.toLowerCase().startsWith('us')) {
-      return `us${trimmed.substring(2).toUpperCase()}`;
-    }
-    
-    if (PATTERNS.FUND_CODE.test(trimmed)) {
-      return trimmed.toLowerCase();
-    }
-    
-    return trimmed.toLowerCase();
+// 查询结果写入：有效结果按资产和市场状态缓存，失败结果退避缓存并回退到上次成功结果
+const storeResult = createResultStore<QueryResult>({
+  lastGoodCache: lastGoodResultCache,
+  failureCountCache,
+  isValid: result => result.code === FieldCode.Success && !!result.data && result.data.price > 0,
+  getTtl: getResultCacheTtl
+});
+
+// ==================== 批量查询优化器 ====================
+// 单个代码的查询：合并请求已取得有效行情时直接使用，否则按资产类型走数据源故障切换
+async function executeQuery(request: QueryRequest, combinedQuotes: Record<string, ProviderQuote> = {}): Promise<QueryResult> {
+  const { stockCode, forceRefresh, ...options } = request;
+  const trimmedCode = stockCode.trim();
+  const context = getProviderContext(forceRefresh);
+
+  // 合并请求已取得有效行情
+  const combinedQuote = combinedQuotes[trimmedCode];
+  if (combinedQuote && combinedQuote.price > 0) {
+    return buildStockResult(trimmedCode, combinedQuote, tencentProvider.name);
+  }
+  
+  // 6位数字代码为场外基金（其余资产在解析阶段已加上交易所前缀）
+  if (PATTERNS.FUND_CODE.test(trimmedCode)) {
+    return await queryFund(trimmedCode, options, context);
   }
+  
+  // 其他代码直接查询股票
+  return await queryStock(trimmedCode, options, context);
+}
 
-  private scheduleBatchProcess(): void {
-    if (this.processingTimer) {
-      clearTimeout(this.processingTimer);
-    }
-    
-    this.processingTimer = setTimeout(() => {
-      this.processBatch();
-    }, CONFIG.BATCH_DELAY);
+const batchQueryOptimizer = new BatchQueryOptimizer<QueryResult>({
+  // 历史日期结果不可变，使用长 TTL 的独立缓存；实时结果写入时按资产和市场状态指定各自的过期时间，此处的 TTL 仅用于未指定过期时间的条目
+  getResultCache: request => request.queryDate
+    ? { cache: historyResultCache, ttl: CONFIG.HISTORY_CACHE_TTL }
+    : { cache: batchResultCache, ttl: CONFIG.BATCH_CACHE_TTL },
+  storeResult,
+  // 腾讯行情覆盖的市场合并为 qt.gtimg.cn 多代码请求（完整行情，保留开盘/最高/最低等字段）
+  canCombine: symbol => {
+    const market = getMarket(symbol);
+    return market !== null && tencentProvider.markets.indexOf(market) !== -1;
+  },
+  fetchQuoteChunk: async (symbols, forceRefresh) =>
+    parseTencentQuotes(await fetchTencentQuotes(symbols, getProviderContext(forceRefresh), false)),
+  executeQuery
+});
+
+// 号段重叠的6位代码：首选代码查询失败或没有有效价格时改查备选代码，返回实际采用的解析结果和查询结果
+async function queryResolvedCode(resolution: SymbolResolution, options: BatchQueryOptions): Promise<{ resolution: SymbolResolution; result: QueryResult }> {
+  const result = await batchQueryOptimizer.addQuery(resolution.symbol!, options);
+  const hasPrice = (queryResult: QueryResult) => queryResult.code === FieldCode.Success && queryResult.data.price > 0;
+  if (!resolution.fallback || hasPrice(result)) {
+    return { resolution, result };
   }
 
-  private async processBatch(): Promise<void> {
-    const currentQueue = new Map(this.queryQueue);
-    this.queryQueue.clear();
-    this.processingTimer = null;
-    
-    const promises = Array.from(currentQueue.entries()).map(async ([stockCode, callbacks]) => {
+  const fallbackResolution: SymbolResolution = { ...resolution, ...resolution.fallback, fallback: undefined };
+  const fallbackResult = await batchQueryOptimizer.addQuery(fallbackResolution.symbol!, options);
+  return hasPrice(fallbackResult) ? { resolution: fallbackResolution, result: fallbackResult } : { resolution, result };
+}
+
+// ==================== 组合（多代码）查询 ====================
+// 单个组合成员的查询：实时行情优先使用合并请求的结果，其余（基金、期货、历史日期、合并请求未返回的代码）逐个查询
+async function queryBasketItem(
+  entry: BasketEntry,
+  resolution: SymbolResolution,
+  batchQuotes: Record<string, ProviderQuote>,
+  options: BatchQueryOptions
+): Promise<BasketItemResult> {
+  const item: BasketItemResult = { input: entry.input, quantity: entry.quantity };
+  if (!resolution.success || !resolution.symbol) {
+    return { ...item, errorCode: ERROR_CODES.INVALID_CODE, error: resolution.message };
+  }
+
+  const symbol = resolution.symbol;
+  const validation = validateStockCode(symbol);
+  const base = { ...item, symbol, currency: validation.currency || 'CNY' };
+
+  const batchQuote = batchQuotes[symbol];
+  if (batchQuote && batchQuote.price > 0) {
+    return {
+      ...base,
+      name: batchQuote.name,
+      price: batchQuote.price,
+      change: batchQuote.details.change as number | null,
+      changePercent: batchQuote.details.changePercent as number | null,
+      date: batchQuote.date
+    };
+  }
+
+  const queried = await queryResolvedCode(resolution, options);
+  const result = queried.result;
+  if (queried.resolution.symbol !== symbol) {
+    const fallbackSymbol = queried.resolution.symbol!;
+    base.symbol = fallbackSymbol;
+    base.currency = validateStockCode(fallbackSymbol).currency || 'CNY';
+  }
+  if (result.code !== FieldCode.Success) {
+    return { ...base, errorCode: ERROR_CODES.QUERY_FAILED, error: result.message };
+  }
+
+  const { name, price, date } = result.data;
+  const changePercent = typeof result.data.changePercent === 'number' ? result.data.changePercent : null;
+  let change = typeof result.data.change === 'number' ? result.data.change : null;
+  // 基金只有日增长率，按单位净值反推涨跌额
+  if (change === null && changePercent !== null && price > 0) {
+    change = parseFloat((price - price / (1 + changePercent)).toFixed(4));
+  }
+
+  return { ...base, name, price: price > 0 ? price : undefined, change, changePercent, date };
+}
+
+/**
+ * 组合查询：沪深北港美实时行情合并为一次 qt.gtimg.cn 请求，基金等其余代码并行查询
+ * 请求均经过 fetchWithDeduplication，复用去重缓存和 MAX_CONCURRENT_REQUESTS 并发控制
+ */
+async function queryBasket(
+  entries: BasketEntry[],
+  options: BatchQueryOptions,
+  assetTypeOption: AssetTypeOption,
+  targetCurrency: TargetCurrency
+): Promise<{ items: BasketItemResult[]; currency: Currency }> {
+  const resolutions = await Promise.all(entries.map(entry => resolveInputCode(entry.input, assetTypeOption)));
+  const context = getProviderContext(options.forceRefresh);
+
+  let batchQuotes: Record<string, ProviderQuote> = {};
+  if (!isHistoricalDate(options.queryDate)) {
+    const batchSymbols = resolutions
+      .map(resolution => resolution.symbol || '')
+      .filter((symbol, index, list) => {
+        const market = getMarket(symbol);
+        return market !== null && tencentProvider.markets.indexOf(market) !== -1 && list.indexOf(symbol) === index;
+      });
+
+    if (batchSymbols.length > 0) {
       try {
-        const cacheKey = `batch_${stockCode}`;
-        const cached = batchResultCache.get(cacheKey, CONFIG.BATCH_CACHE_TTL);
-        
-        let result: QueryResult;
-        if (cached) {
-          result = cached;
-        } else {
-          result = await this.executeQuery(stockCode);
-          batchResultCache.set(cacheKey, result);
-        }
-        
-        callbacks.forEach(callback => callback.resolve(result));
+        batchQuotes = parseTencentQuotes(await fetchTencentQuotes(batchSymbols, context));
       } catch (error) {
-        callbacks.forEach(callback => callback.reject(error));
+        // 合并请求失败时逐个查询，由数据源故障切换兜底
+        batchQuotes = {};
       }
-    });
-    
-    await Promise.all(promises);
+    }
   }
 
-  private async executeQuery(stockCode: string): Promise<QueryResult> {
-    const trimmedCode = stockCode.trim();
-    
-    // 6位数字代码：基金优先查询逻辑
-    if (PATTERNS.FUND_CODE.test(trimmedCode)) {
-      const fundResult = await queryFund(trimmedCode);
-      
-      if (fundResult.code === FieldCode.Success && fundResult.hasValidData) {
-        return fundResult;
-      }
-      
-      return await queryStock(trimmedCode);
+  const items = await Promise.all(entries.map((entry, index) => queryBasketItem(entry, resolutions[index], batchQuotes, options)));
+
+  // 组合计价货币：指定目标币种时使用目标币种，否则成员币种一致时沿用，不一致时统一换算为人民币
+  const currencies = items.filter(item => item.currency && !item.errorCode).map(item => item.currency!);
+  const currency: Currency = targetCurrency !== 'original'
+    ? targetCurrency
+    : (currencies.length > 0 && currencies.every(value => value === currencies[0]) ? currencies[0] : 'CNY');
+
+  const convertedItems = await Promise.all(items.map(async item => {
+    if (item.errorCode || !item.currency || item.currency === currency) return item;
+
+    // 历史日期只有实时汇率可用，币种不同的成员不换算，按汇率不可用处理
+    if (!canConvertAt(options.queryDate)) {
+      return { ...item, errorCode: ERROR_CODES.FX_UNAVAILABLE, error: `${item.currency}/${currency}: ${ERROR_DETAIL_MESSAGES['zh-CN'].FX_HISTORICAL}` };
     }
-    
-    // 其他代码直接查询股票
-    return await queryStock(trimmedCode);
-  }
+
+    try {
+      const exchangeRate = await getExchangeRate(item.currency, currency, context, options.queryDate);
+      const converted = applyExchangeRate(item, exchangeRate.rate) as BasketItemResult;
+      return { ...converted, currency };
+    } catch (fxError) {
+      return { ...item, errorCode: ERROR_CODES.FX_UNAVAILABLE, error: `${item.currency}/${currency}` };
+    }
+  }));
+
+  return { items: convertedItems, currency };
 }
 
 // ==================== 域名配置 ====================
 const feishuDm = ['feishu.cn', 'feishucdn.com', 'larksuitecdn.com', 'larksuite.com'];
-basekit.addDomainList([...feishuDm, 'qt.gtimg.cn', 'fund.eastmoney.com']);
+basekit.addDomainList([...feishuDm, 'qt.gtimg.cn', 'smartbox.gtimg.cn', 'web.ifzq.gtimg.cn', 'hq.sinajs.cn', 'fund.eastmoney.com', 'api.fund.eastmoney.com', 'fundf10.eastmoney.com', 'datacenter-web.eastmoney.com', 'push2.eastmoney.com', 'fundgz.1234567.com.cn']);
 
 // ==================== 主要字段配置 ====================
+// 多语言文案：字段配置通过 t() 引用，错误提示在 execute 中按语言取用
+const I18N_MESSAGES: Record<Locale, Record<string, string>> = {
+  'zh-CN': {
+    'stockCode': '股票/基金代码',
+    'stockPrice': '价格/净值',
+    'stockName': '名称',
+    'queryDate': '日期',
+    'priceDate': '价格日期',
+    'status': '状态',
+    'prevClose': '昨收',
+    'open': '开盘',
+    'high': '最高',
+    'low': '最低',
+    'change': '涨跌额',
+    'changePercent': '涨跌幅/日增长率',
+    'volume': '成交量',
+    'amount': '成交额(万)',
+    'marketCap': '总市值(亿)',
+    'accumulatedNav': '累计净值',
+    'incomePer10k': '万份收益',
+    'sevenDayYield': '七日年化',
+    'subscriptionStatus': '申购状态',
+    'redemptionStatus': '赎回状态',
+    'fundValuation': '基金取值方式',
+    'fundValuationNav': '单位净值（已公布）',
+    'fundValuationEstimate': '盘中估值（交易时段）',
+    'valuationType': '取值类型',
+    'valuationTime': '估值时间',
+    'provider': '数据来源',
+    'fetchedAt': '获取时间',
+    'freshness': '数据状态',
+    'targetCurrency': '计价货币',
+    'targetCurrencyOriginal': '原币种',
+    'targetCurrencyCNY': '人民币 (CNY)',
+    'targetCurrencyHKD': '港元 (HKD)',
+    'targetCurrencyUSD': '美元 (USD)',
+    'currency': '币种',
+    'fxRate': '汇率',
+    'fxRateTime': '汇率时间',
+    'quantity': '持仓数量',
+    'costPrice': '成本价',
+    'marketValue': '持仓市值',
+    'profit': '浮动盈亏',
+    'profitPercent': '盈亏比例',
+    'resolvedSymbol': '匹配代码',
+    'assetType': '资产类型',
+    'assetTypeAuto': '自动识别（按代码号段）',
+    'assetTypeStock': '股票',
+    'assetTypeFund': '场外基金（净值）',
+    'assetTypeIndex': '指数',
+    'assetTypeEtf': 'ETF（场内价格）',
+    'basketCount': '组合代码数',
+    'basketSuccessCount': '组合成功数',
+    'basketDetails': '组合明细',
+    'errorCode': '错误码',
+    'errorMessage': '错误信息',
+    'marketStatus': '市场状态',
+    'outputMode': '输出模式',
+    'outputModeQuote': '单个价格',
+    'outputModeSeries': '区间历史序列（CSV）',
+    'outputModeDepth': '实时盘口五档（仅A股）',
+    'startDate': '开始日期',
+    'startDatePlaceholder': '历史序列的开始日期（YYYY-MM-DD），留空默认为结束日期前一年；结束日期取上方日期',
+    'seriesStartDate': '序列开始日期',
+    'seriesCount': '数据点数',
+    'periodReturn': '区间收益率',
+    'maxDrawdown': '最大回撤',
+    'volatility': '年化波动率',
+    'periodHigh': '区间最高',
+    'periodLow': '区间最低',
+    'seriesCsv': '历史序列（CSV 文本）',
+    'periodMetrics': '阶段表现',
+    'periodMetricsOff': '不计算',
+    'periodMetricsOn': '计算近1周/1月/3月/今年以来/1年收益及距52周高点',
+    'return1W': '近1周收益',
+    'return1M': '近1月收益',
+    'return3M': '近3月收益',
+    'returnYtd': '今年以来收益',
+    'return1Y': '近1年收益',
+    'high52Week': '52周最高',
+    'fromHigh52Week': '距52周最高',
+    'fundProfile': '基金档案',
+    'fundProfileOff': '不查询',
+    'fundProfileOn': '查询类型、经理、规模、费率、风险等级及前十大重仓股（仅场外基金）',
+    'fundType': '基金类型',
+    'fundManager': '基金经理',
+    'inceptionDate': '成立日期',
+    'fundSize': '资产规模(亿元)',
+    'managementFee': '管理费率',
+    'custodyFee': '托管费率',
+    'riskLevel': '风险等级',
+    'holdingsDate': '持仓截止日期',
+    'topHoldings': '前十大重仓股',
+    'fundamentals': '股票基本面',
+    'fundamentalsOff': '不查询',
+    'fundamentalsOn': '查询市盈率、市净率、股息率、行业、股本等（仅沪深北A股）',
+    'forceRefresh': '强制刷新',
+    'forceRefreshOff': '使用缓存',
+    'forceRefreshOn': '跳过缓存，重新查询数据源',
+    'resultLanguage': '结果语言',
+    'resultLanguageZh': '中文',
+    'resultLanguageEn': 'English',
+    'peRatio': '市盈率',
+    'pbRatio': '市净率',
+    'turnoverRate': '换手率',
+    'amplitude': '振幅',
+    'floatMarketCap': '流通市值(亿)',
+    'totalShares': '总股本(亿股)',
+    'floatShares': '流通股本(亿股)',
+    'dividendYield': '股息率(近12个月)',
+    'industry': '所属行业',
+    'limitUp': '涨停价',
+    'limitDown': '跌停价',
+    'bestBid': '买一价',
+    'bestAsk': '卖一价',
+    'spread': '买卖价差',
+    'bidDepth': '买盘五档（价格 × 手）',
+    'askDepth': '卖盘五档（价格 × 手）',
+    'latestTradeTime': '最新成交时间',
+    'priceAdjustment': '复权',
+    'priceAdjustmentNone': '不复权',
+    'priceAdjustmentForward': '前复权',
+    'priceAdjustmentBackward': '后复权',
+    'corporateActions': '分红与拆分',
+    'corporateActionsOff': '不查询',
+    'corporateActionsOn': '查询最近分红、送转和拆分（仅沪深北A股和场外基金）',
+    'adjustedPrice': '复权价格',
+    'dividendPerShare': '最近分红(每股/份)',
+    'dividendExDate': '除息日',
+    'dividendPayDate': '派息日',
+    'splitDate': '最近拆分/送转日',
+    'splitRatio': '拆分/送转比例',
+    'recentActions': '最近分红与拆分',
+    'upperPrice': '提醒上限价',
+    'lowerPrice': '提醒下限价',
+    'maxMovePercent': '提醒日涨跌幅(%)',
+    'maxMovePlaceholder': '日涨跌幅绝对值达到该百分比时提醒，如 5 表示 ±5%，留空不提醒',
+    'alert': '价格提醒',
+    'alertMessage': '提醒说明',
+    ...ERROR_MESSAGES['zh-CN'],
+    'placeholder': '请输入名称、拼音首字母（如：贵州茅台、gzmt）或证券代码（如：sh600519、sz000001、bj430047、hk00700、usAAPL、sh000001 指数、nfRB2501 期货）或基金代码（如：000311、510300）',
+    'datePlaceholder': '请输入日期（YYYY-MM-DD 或 YYYY/MM/DD），如：2024-01-15（早于今天时查询该日收盘价/单位净值，非交易日取之前最近一个交易日）'
+  },
+  'en-US': {
+    'stockCode': 'Stock/Fund Code',
+    'stockPrice': 'Price/NAV',
+    'stockName': 'Name',
+    'queryDate': 'Date',
+    'priceDate': 'Price Date',
+    'status': 'Status',
+    'prevClose': 'Prev Close',
+    'open': 'Open',
+    'high': 'High',
+    'low': 'Low',
+    'change': 'Change',
+    'changePercent': 'Change %',
+    'volume': 'Volume',
+    'amount': 'Turnover (10k)',
+    'marketCap': 'Market Cap (100M)',
+    'accumulatedNav': 'Accumulated NAV',
+    'incomePer10k': 'Income per 10k Units',
+    'sevenDayYield': '7-Day Annualised Yield',
+    'subscriptionStatus': 'Subscription Status',
+    'redemptionStatus': 'Redemption Status',
+    'fundValuation': 'Fund Valuation',
+    'fundValuationNav': 'Published NAV',
+    'fundValuationEstimate': 'Intraday Estimate (trading hours)',
+    'valuationType': 'Valuation Type',
+    'valuationTime': 'Estimate Time',
+    'provider': 'Data Source',
+    'fetchedAt': 'Fetched At',
+    'freshness': 'Freshness',
+    'targetCurrency': 'Currency',
+    'targetCurrencyOriginal': 'Original',
+    'targetCurrencyCNY': 'Chinese Yuan (CNY)',
+    'targetCurrencyHKD': 'Hong Kong Dollar (HKD)',
+    'targetCurrencyUSD': 'US Dollar (USD)',
+    'currency': 'Currency',
+    'fxRate': 'FX Rate',
+    'fxRateTime': 'FX Rate Time',
+    'quantity': 'Quantity',
+    'costPrice': 'Cost Price',
+    'marketValue': 'Market Value',
+    'profit': 'Unrealised P&L',
+    'profitPercent': 'P&L %',
+    'resolvedSymbol': 'Matched Symbol',
+    'assetType': 'Asset Type',
+    'assetTypeAuto': 'Auto (by code range)',
+    'assetTypeStock': 'Stock',
+    'assetTypeFund': 'Mutual Fund (NAV)',
+    'assetTypeIndex': 'Index',
+    'assetTypeEtf': 'ETF (exchange price)',
+    'basketCount': 'Basket Size',
+    'basketSuccessCount': 'Basket Succeeded',
+    'basketDetails': 'Basket Details',
+    'errorCode': 'Error Code',
+    'errorMessage': 'Error Message',
+    'marketStatus': 'Market Status',
+    'outputMode': 'Output Mode',
+    'outputModeQuote': 'Single price',
+    'outputModeSeries': 'Historical series (CSV)',
+    'outputModeDepth': 'Real-time 5-level order book (A-shares only)',
+    'startDate': 'Start Date',
+    'startDatePlaceholder': 'Start date of the series (YYYY-MM-DD); defaults to one year before the end date. The Date above is the end date',
+    'seriesStartDate': 'Series Start',
+    'seriesCount': 'Data Points',
+    'periodReturn': 'Period Return',
+    'maxDrawdown': 'Max Drawdown',
+    'volatility': 'Annualised Volatility',
+    'periodHigh': 'Period High',
+    'periodLow': 'Period Low',
+    'seriesCsv': 'Series (CSV text)',
+    'periodMetrics': 'Period Performance',
+    'periodMetricsOff': 'Off',
+    'periodMetricsOn': '1W/1M/3M/YTD/1Y returns and distance from 52-week high',
+    'return1W': '1W Return',
+    'return1M': '1M Return',
+    'return3M': '3M Return',
+    'returnYtd': 'YTD Return',
+    'return1Y': '1Y Return',
+    'high52Week': '52-Week High',
+    'fromHigh52Week': 'From 52-Week High',
+    'fundProfile': 'Fund Profile',
+    'fundProfileOff': 'Off',
+    'fundProfileOn': 'Type, manager, size, fees, risk level and top 10 holdings (mutual funds only)',
+    'fundType': 'Fund Type',
+    'fundManager': 'Fund Manager',
+    'inceptionDate': 'Inception Date',
+    'fundSize': 'Fund Size (100M CNY)',
+    'managementFee': 'Management Fee',
+    'custodyFee': 'Custody Fee',
+    'riskLevel': 'Risk Level',
+    'holdingsDate': 'Holdings As Of',
+    'topHoldings': 'Top 10 Holdings',
+    'fundamentals': 'Stock Fundamentals',
+    'fundamentalsOff': 'Off',
+    'fundamentalsOn': 'PE, PB, dividend yield, industry, shares outstanding and more (SSE/SZSE/BSE only)',
+    'forceRefresh': 'Force Refresh',
+    'forceRefreshOff': 'Use cache',
+    'forceRefreshOn': 'Bypass the cache and query the sources again',
+    'resultLanguage': 'Result Language',
+    'resultLanguageZh': '中文',
+    'resultLanguageEn': 'English',
+    'peRatio': 'P/E',
+    'pbRatio': 'P/B',
+    'turnoverRate': 'Turnover Rate',
+    'amplitude': 'Amplitude',
+    'floatMarketCap': 'Float Market Cap (100M)',
+    'totalShares': 'Total Shares (100M)',
+    'floatShares': 'Float Shares (100M)',
+    'dividendYield': 'Dividend Yield (TTM)',
+    'industry': 'Industry',
+    'limitUp': 'Limit Up',
+    'limitDown': 'Limit Down',
+    'bestBid': 'Best Bid',
+    'bestAsk': 'Best Ask',
+    'spread': 'Bid-Ask Spread',
+    'bidDepth': 'Bid Depth (price × lots)',
+    'askDepth': 'Ask Depth (price × lots)',
+    'latestTradeTime': 'Latest Trade Time',
+    'priceAdjustment': 'Price Adjustment',
+    'priceAdjustmentNone': 'Unadjusted',
+    'priceAdjustmentForward': 'Forward-adjusted',
+    'priceAdjustmentBackward': 'Backward-adjusted',
+    'corporateActions': 'Dividends & Splits',
+    'corporateActionsOff': 'Off',
+    'corporateActionsOn': 'Latest dividend, bonus shares and splits (SSE/SZSE/BSE and mutual funds only)',
+    'adjustedPrice': 'Adjusted Price',
+    'dividendPerShare': 'Last Dividend per Share',
+    'dividendExDate': 'Ex-Dividend Date',
+    'dividendPayDate': 'Pay Date',
+    'splitDate': 'Last Split Date',
+    'splitRatio': 'Split Ratio',
+    'recentActions': 'Recent Corporate Actions',
+    'upperPrice': 'Alert Upper Price',
+    'lowerPrice': 'Alert Lower Price',
+    'maxMovePercent': 'Alert Daily Move (%)',
+    'maxMovePlaceholder': 'Alert when the absolute daily change reaches this percentage, e.g. 5 for ±5%; leave empty to disable',
+    'alert': 'Price Alert',
+    'alertMessage': 'Alert Message',
+    ...ERROR_MESSAGES['en-US'],
+    'placeholder': 'Enter a name, pinyin initials (e.g. 贵州茅台, gzmt) or security code (e.g. sh600519, sz000001, bj430047, hk00700, usAAPL, sh000001 index, nfRB2501 futures) or fund code (e.g. 000311, 510300)',
+    'datePlaceholder': 'Enter date (YYYY-MM-DD or YYYY/MM/DD), e.g. 2024-01-15 (past dates return that day\'s close/NAV, or the last trading day before it)'
+  }
+};
+
+// 构建失败结果：价格留空，错误码和错误信息写入独立属性，不占用名称列
+function buildErrorResult(errorCode: ErrorCode, locale: Locale, options: ErrorResultOptions) {
+  return {
+    code: FieldCode.Success,
+    data: buildErrorData(errorCode, locale, options)
+  };
+}
+
+// 组合模式执行：返回组合合计及逐行明细，全部代码失败时按查询失败返回
+async function executeBasket(stockCode: string, queryDate: string, options: {
+  fundValuation: FundValuationMode;
+  assetTypeOption: AssetTypeOption;
+  targetCurrency: TargetCurrency;
+  forceRefresh: boolean;
+  locale: Locale;
+}) {
+  const entries = parseBasketInput(stockCode);
+  if (entries.length > CONFIG.MAX_BASKET_SIZE) {
+    return buildErrorResult(ERROR_CODES.INVALID_CODE, options.locale, {
+      id: `basket_error_${Date.now()}`,
+      symbol: stockCode,
+      date: queryDate,
+      detail: formatBasketSizeError(CONFIG.MAX_BASKET_SIZE, options.locale)
+    });
+  }
+
+  try {
+    const { items, currency } = await queryBasket(
+      entries,
+      { queryDate, fundValuation: options.fundValuation, forceRefresh: options.forceRefresh },
+      options.assetTypeOption,
+      options.targetCurrency
+    );
+    const summary = summarizeBasket(items, options.locale);
+
+    if (summary.basketSuccessCount === 0) {
+      return buildErrorResult(ERROR_CODES.QUERY_FAILED, options.locale, {
+        id: `basket_error_${Date.now()}`,
+        symbol: stockCode,
+        date: queryDate,
+        detail: joinBasketDetails(summary.basketDetails, options.locale),
+        basketCount: summary.basketCount,
+        basketSuccessCount: 0,
+        basketDetails: summary.basketDetails
+      });
+    }
+
+    return {
+      code: FieldCode.Success,
+      data: {
+        id: `basket_${Date.now()}`,
+        status: STATUS.SUCCESS,
+        symbol: stockCode.trim(),
+        name: formatBasketName(summary, options.locale),
+        price: CONFIG.PRICE_UNAVAILABLE,
+        currency,
+        ...summary,
+        date: summary.date || queryDate
+      }
+    };
+  } catch (e) {
+    return buildErrorResult(ERROR_CODES.SYSTEM_ERROR, options.locale, {
+      id: `exception_${Date.now()}`,
+      symbol: stockCode,
+      date: queryDate,
+      detail: String(e)
+    });
+  }
+}
+
+// 阶段表现：获取截至价格日期一年（加回溯天数）的前复权历史序列计算；获取失败时指标留空，不影响价格结果
+async function queryPeriodMetrics(symbol: string, price: number, endDate: string, context: ProviderContext): Promise<PeriodMetrics> {
+  try {
+    return await fetchPeriodMetrics(symbol, price, endDate, context);
+  } catch (error) {
+    // 历史数据不可用时仅返回空指标
+  }
+
+  return { ...EMPTY_PERIOD_METRICS };
+}
+
+// 基金档案：仅场外基金查询；获取失败时档案属性留空，不影响净值结果
+async function queryFundProfile(symbol: string, context: ProviderContext): Promise<Record<string, string | number | null>> {
+  if (getMarket(symbol) !== 'fund') {
+    return {};
+  }
+
+  try {
+    const profile = await fetchFundProfile(symbol, context);
+    const { holdings, ...fields } = profile;
+    return {
+      ...fields,
+      topHoldings: holdings.length > 0 ? formatHoldings(holdings) : null
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+// 分红与拆分记录：仅沪深北A股和场外基金，不支持的代码返回 null；按代码缓存，强制刷新时重新获取
+async function loadCorporateActions(symbol: string, context: ProviderContext, forceRefresh: boolean): Promise<CorporateAction[] | null> {
+  const cached = forceRefresh ? null : corporateActionCache.get(symbol, CONFIG.CORPORATE_ACTION_CACHE_TTL);
+  if (cached) {
+    return cached;
+  }
+
+  const actions = await fetchCorporateActions(symbol, context);
+  if (actions) {
+    corporateActionCache.set(symbol, actions);
+  }
+  return actions;
+}
+
+// 分红与拆分摘要：获取失败时属性留空
+async function queryCorporateActions(symbol: string, asOf: string, context: ProviderContext, forceRefresh: boolean): Promise<CorporateActionSummary> {
+  try {
+    const actions = await loadCorporateActions(symbol, context, forceRefresh);
+    return actions ? summarizeCorporateActions(actions, asOf) : { ...EMPTY_CORPORATE_ACTIONS };
+  } catch (error) {
+    return { ...EMPTY_CORPORATE_ACTIONS };
+  }
+}
+
+// 复权价格：价格日期的复权收盘价/单位净值；序列中没有该日（如盘中估值、期货）时留空
+async function queryAdjustedPrice(symbol: string, priceDate: string, adjustment: PriceAdjustment, context: ProviderContext): Promise<number | null> {
+  try {
+    const seriesResult = await fetchPriceSeries(symbol, shiftDate(priceDate, -CONFIG.HISTORY_LOOKBACK_DAYS), priceDate, context, adjustment);
+    if (seriesResult.success && seriesResult.series) {
+      const points = seriesResult.series.points;
+      const last = points[points.length - 1];
+      return last.date === priceDate ? last.close : null;
+    }
+  } catch (error) {
+    // 复权数据不可用时仅返回原始价格
+  }
+  return null;
+}
+
+/**
+ * 股票基本面（仅沪深北代码）：估值和涨跌停价取腾讯完整行情，行业和股本取东方财富个股接口，
+ * 股息率由近12个月分红记录和价格计算；各部分独立获取，失败的部分属性留空，不影响价格结果
+ */
+async function queryFundamentals(
+  symbol: string,
+  price: number,
+  priceDate: string,
+  context: ProviderContext,
+  forceRefresh: boolean
+): Promise<Record<string, string | number | null>> {
+  const market = getMarket(symbol);
+  if (market !== 'sh' && market !== 'sz' && market !== 'bj') {
+    return {};
+  }
+
+  const [quoteFields, profile, dividendYield] = await Promise.all([
+    fetchTencentFundamentals(symbol, context).catch(() => null),
+    fetchEastmoneyStockProfile(symbol, context).catch(() => null),
+    loadCorporateActions(symbol, context, forceRefresh)
+      .then(actions => actions ? computeDividendYield(actions, priceDate, price) : null)
+      .catch(() => null)
+  ]);
+
+  if (!quoteFields) {
+    return {};
+  }
+  return { ...quoteFields, ...(profile || {}), dividendYield };
+}
+
+// 盘口档位格式化为多行文本，每行一档：价格 × 数量（手），买一/卖一在前
+function formatDepthLevels(levels: OrderBookLevel[]): string {
+  return levels.map(level => `${level.price} × ${level.volume}`).join('\n');
+}
+
+// 实时盘口五档：与实时行情共用完整行情请求，只复用 DEPTH_CACHE_TTL 内的响应；非A股代码或获取失败时返回空对象，不影响价格结果
+async function queryDepth(symbol: string, context: ProviderContext): Promise<Record<string, number | string | null>> {
+  try {
+    const depth = await fetchTencentDepth(symbol, context);
+    if (!depth) return {};
+
+    return {
+      bestBid: depth.bestBid,
+      bestAsk: depth.bestAsk,
+      spread: depth.spread,
+      bidDepth: formatDepthLevels(depth.bids),
+      askDepth: formatDepthLevels(depth.asks),
+      latestTradeTime: depth.latestTradeTime
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+// 历史序列模式执行：返回区间统计和 CSV 文本，价格为区间最后一个收盘价/单位净值
+async function executeSeries(
+  inputCode: string,
+  resolution: SymbolResolution,
+  startDate: string,
+  endDate: string,
+  adjustment: PriceAdjustment,
+  locale: Locale,
+  context: ProviderContext
+) {
+  let symbol = resolution.symbol!;
+  let assetType = resolution.assetType;
+  let seriesResult = await fetchPriceSeries(symbol, startDate, endDate, context, adjustment);
+
+  // 号段重叠的6位代码：首选代码没有序列时改查备选代码
+  if ((!seriesResult.success || !seriesResult.series) && resolution.fallback) {
+    const fallbackResult = await fetchPriceSeries(resolution.fallback.symbol, startDate, endDate, context, adjustment);
+    if (fallbackResult.success && fallbackResult.series) {
+      symbol = resolution.fallback.symbol;
+      assetType = resolution.fallback.assetType;
+      seriesResult = fallbackResult;
+    }
+  }
+
+  const base = {
+    symbol: inputCode,
+    resolvedSymbol: symbol,
+    assetType,
+    currency: validateStockCode(symbol).currency || 'CNY'
+  };
+
+  if (!seriesResult.success || !seriesResult.series) {
+    return buildErrorResult(ERROR_CODES.QUERY_FAILED, locale, {
+      ...base,
+      id: `series_error_${Date.now()}`,
+      date: endDate,
+      sourceDetail: seriesResult.error
+    });
+  }
+
+  const series = seriesResult.series;
+  const stats = computeSeriesStats(series.points);
+  const csv = buildSeriesCsv(series);
+
+  return {
+    code: FieldCode.Success,
+    data: {
+      ...base,
+      id: `series_${symbol}_${Date.now()}`,
+      status: STATUS.SUCCESS,
+      name: series.name || resolution.name || symbol,
+      price: series.points[series.points.length - 1].close,
+      date: stats.seriesEndDate,
+      seriesStartDate: stats.seriesStartDate,
+      seriesCount: stats.seriesCount,
+      periodReturn: stats.periodReturn,
+      maxDrawdown: stats.maxDrawdown,
+      volatility: stats.volatility,
+      periodHigh: stats.periodHigh,
+      periodLow: stats.periodLow,
+      seriesCsv: csv,
+      provider: series.kind === 'kline' ? 'tencent-kline' : 'eastmoney-pingzhongdata'
+    }
+  };
+}
+
 basekit.addField({
   i18n: {
-    messages: {
-      'zh-CN': {
-        'stockCode': '股票/基金代码',
-        'stockPrice': '价格/净值',
-        'stockName': '名称',
-        'queryDate': '日期',
-        'priceDate': '价格日期',
-        'status': '状态',
-        'placeholder': '请输入股票代码（如：sh000001、sz000001、hk00700、usAAPL）或基金代码（如：000311）',
-        'datePlaceholder': '请输入日期（YYYY-MM-DD 或 YYYY/MM/DD），如：2024-01-15（仅用于定时自动化，不代表价格查询日期）'
-      },
-      'en-US': {
-        'stockCode': 'Stock/Fund Code',
-        'stockPrice': 'Price/NAV',
-        'stockName': 'Name',
-        'queryDate': 'Date',
-        'priceDate': 'Price Date',
-        'status': 'Status',
-        'placeholder': 'Enter stock code (e.g. sh000001, sz000001, hk00700, usAAPL) or fund code (e.g. 000311)',
-        'datePlaceholder': 'Enter date (YYYY-MM-DD or YYYY/MM/DD), e.g. 2024-01-15 (for automation only, not query date)'
-      },
-
-    },
+    messages: I18N_MESSAGES,
   },
   formItems: [
     {
@@ -1166,6 +1389,244 @@ basekit.addField({
         required: true,
       },
     },
+    {
+      key: 'assetType',
+      label: t('assetType'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('assetTypeAuto'), value: 'auto' },
+      props: {
+        options: [
+          { label: t('assetTypeAuto'), value: 'auto' },
+          { label: t('assetTypeStock'), value: 'stock' },
+          { label: t('assetTypeFund'), value: 'fund' },
+          { label: t('assetTypeIndex'), value: 'index' },
+          { label: t('assetTypeEtf'), value: 'etf' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'outputMode',
+      label: t('outputMode'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('outputModeQuote'), value: 'quote' },
+      props: {
+        options: [
+          { label: t('outputModeQuote'), value: 'quote' },
+          { label: t('outputModeSeries'), value: 'series' },
+          { label: t('outputModeDepth'), value: 'depth' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'startDate',
+      label: t('startDate'),
+      component: FieldComponent.Input,
+      props: {
+        placeholder: t('startDatePlaceholder'),
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'periodMetrics',
+      label: t('periodMetrics'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('periodMetricsOff'), value: 'off' },
+      props: {
+        options: [
+          { label: t('periodMetricsOff'), value: 'off' },
+          { label: t('periodMetricsOn'), value: 'on' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'fundProfile',
+      label: t('fundProfile'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('fundProfileOff'), value: 'off' },
+      props: {
+        options: [
+          { label: t('fundProfileOff'), value: 'off' },
+          { label: t('fundProfileOn'), value: 'on' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'fundamentals',
+      label: t('fundamentals'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('fundamentalsOff'), value: 'off' },
+      props: {
+        options: [
+          { label: t('fundamentalsOff'), value: 'off' },
+          { label: t('fundamentalsOn'), value: 'on' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'priceAdjustment',
+      label: t('priceAdjustment'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('priceAdjustmentNone'), value: 'none' },
+      props: {
+        options: [
+          { label: t('priceAdjustmentNone'), value: 'none' },
+          { label: t('priceAdjustmentForward'), value: 'qfq' },
+          { label: t('priceAdjustmentBackward'), value: 'hfq' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'corporateActions',
+      label: t('corporateActions'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('corporateActionsOff'), value: 'off' },
+      props: {
+        options: [
+          { label: t('corporateActionsOff'), value: 'off' },
+          { label: t('corporateActionsOn'), value: 'on' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'fundValuation',
+      label: t('fundValuation'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('fundValuationNav'), value: 'nav' },
+      props: {
+        options: [
+          { label: t('fundValuationNav'), value: 'nav' },
+          { label: t('fundValuationEstimate'), value: 'estimate' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'targetCurrency',
+      label: t('targetCurrency'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('targetCurrencyOriginal'), value: 'original' },
+      props: {
+        options: [
+          { label: t('targetCurrencyOriginal'), value: 'original' },
+          { label: t('targetCurrencyCNY'), value: 'CNY' },
+          { label: t('targetCurrencyHKD'), value: 'HKD' },
+          { label: t('targetCurrencyUSD'), value: 'USD' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'quantity',
+      label: t('quantity'),
+      component: FieldComponent.FieldSelect,
+      props: {
+        supportType: [FieldType.Number],
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'costPrice',
+      label: t('costPrice'),
+      component: FieldComponent.FieldSelect,
+      props: {
+        supportType: [FieldType.Number],
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'upperPrice',
+      label: t('upperPrice'),
+      component: FieldComponent.FieldSelect,
+      props: {
+        supportType: [FieldType.Number],
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'lowerPrice',
+      label: t('lowerPrice'),
+      component: FieldComponent.FieldSelect,
+      props: {
+        supportType: [FieldType.Number],
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'maxMovePercent',
+      label: t('maxMovePercent'),
+      component: FieldComponent.Input,
+      props: {
+        placeholder: t('maxMovePlaceholder'),
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'forceRefresh',
+      label: t('forceRefresh'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('forceRefreshOff'), value: 'off' },
+      props: {
+        options: [
+          { label: t('forceRefreshOff'), value: 'off' },
+          { label: t('forceRefreshOn'), value: 'on' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
+    {
+      key: 'resultLanguage',
+      label: t('resultLanguage'),
+      component: FieldComponent.SingleSelect,
+      defaultValue: { label: t('resultLanguageZh'), value: 'zh-CN' },
+      props: {
+        options: [
+          { label: t('resultLanguageZh'), value: 'zh-CN' },
+          { label: t('resultLanguageEn'), value: 'en-US' },
+        ]
+      },
+      validator: {
+        required: false,
+      },
+    },
   ],
   resultType: {
     type: FieldType.Object,
@@ -1188,18 +1649,38 @@ basekit.addField({
           primary: true,
         },
         {
-          key: 'symbol',
+          key: 'errorCode',
           type: FieldType.Text,
-          label: t('stockCode'),
+          label: t('errorCode'),
         },
         {
-          key: 'name',
+          key: 'errorMessage',
           type: FieldType.Text,
-          label: t('stockName'),
+          label: t('errorMessage'),
         },
         {
-          key: 'price',
-          type: FieldType.Number,
+          key: 'symbol',
+          type: FieldType.Text,
+          label: t('stockCode'),
+        },
+        {
+          key: 'resolvedSymbol',
+          type: FieldType.Text,
+          label: t('resolvedSymbol'),
+        },
+        {
+          key: 'assetType',
+          type: FieldType.Text,
+          label: t('assetType'),
+        },
+        {
+          key: 'name',
+          type: FieldType.Text,
+          label: t('stockName'),
+        },
+        {
+          key: 'price',
+          type: FieldType.Number,
           label: t('stockPrice'),
           extra: {
             formatter: NumberFormatter.DIGITAL_ROUNDED_2,
@@ -1210,88 +1691,818 @@ basekit.addField({
           type: FieldType.Text,
           label: t('priceDate'),
         },
+        {
+          key: 'prevClose',
+          type: FieldType.Number,
+          label: t('prevClose'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'open',
+          type: FieldType.Number,
+          label: t('open'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'high',
+          type: FieldType.Number,
+          label: t('high'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'low',
+          type: FieldType.Number,
+          label: t('low'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'change',
+          type: FieldType.Number,
+          label: t('change'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'changePercent',
+          type: FieldType.Number,
+          label: t('changePercent'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'volume',
+          type: FieldType.Number,
+          label: t('volume'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_THOUSANDS,
+          }
+        },
+        {
+          key: 'amount',
+          type: FieldType.Number,
+          label: t('amount'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_THOUSANDS_DECIMALS,
+          }
+        },
+        {
+          key: 'marketCap',
+          type: FieldType.Number,
+          label: t('marketCap'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_THOUSANDS_DECIMALS,
+          }
+        },
+        {
+          key: 'accumulatedNav',
+          type: FieldType.Number,
+          label: t('accumulatedNav'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'incomePer10k',
+          type: FieldType.Number,
+          label: t('incomePer10k'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'sevenDayYield',
+          type: FieldType.Number,
+          label: t('sevenDayYield'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'subscriptionStatus',
+          type: FieldType.Text,
+          label: t('subscriptionStatus'),
+        },
+        {
+          key: 'redemptionStatus',
+          type: FieldType.Text,
+          label: t('redemptionStatus'),
+        },
+        {
+          key: 'valuationType',
+          type: FieldType.Text,
+          label: t('valuationType'),
+        },
+        {
+          key: 'valuationTime',
+          type: FieldType.Text,
+          label: t('valuationTime'),
+        },
+        {
+          key: 'provider',
+          type: FieldType.Text,
+          label: t('provider'),
+        },
+        {
+          key: 'fetchedAt',
+          type: FieldType.Text,
+          label: t('fetchedAt'),
+        },
+        {
+          key: 'freshness',
+          type: FieldType.Text,
+          label: t('freshness'),
+        },
+        {
+          key: 'marketStatus',
+          type: FieldType.Text,
+          label: t('marketStatus'),
+        },
+        {
+          key: 'currency',
+          type: FieldType.Text,
+          label: t('currency'),
+        },
+        {
+          key: 'fxRate',
+          type: FieldType.Number,
+          label: t('fxRate'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'fxRateTime',
+          type: FieldType.Text,
+          label: t('fxRateTime'),
+        },
+        {
+          key: 'marketValue',
+          type: FieldType.Number,
+          label: t('marketValue'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_THOUSANDS_DECIMALS,
+          }
+        },
+        {
+          key: 'profit',
+          type: FieldType.Number,
+          label: t('profit'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_THOUSANDS_DECIMALS,
+          }
+        },
+        {
+          key: 'profitPercent',
+          type: FieldType.Number,
+          label: t('profitPercent'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'basketCount',
+          type: FieldType.Number,
+          label: t('basketCount'),
+        },
+        {
+          key: 'basketSuccessCount',
+          type: FieldType.Number,
+          label: t('basketSuccessCount'),
+        },
+        {
+          key: 'basketDetails',
+          type: FieldType.Text,
+          label: t('basketDetails'),
+        },
+        {
+          key: 'return1W',
+          type: FieldType.Number,
+          label: t('return1W'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'return1M',
+          type: FieldType.Number,
+          label: t('return1M'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'return3M',
+          type: FieldType.Number,
+          label: t('return3M'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'returnYtd',
+          type: FieldType.Number,
+          label: t('returnYtd'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'return1Y',
+          type: FieldType.Number,
+          label: t('return1Y'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'high52Week',
+          type: FieldType.Number,
+          label: t('high52Week'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'fromHigh52Week',
+          type: FieldType.Number,
+          label: t('fromHigh52Week'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'fundType',
+          type: FieldType.Text,
+          label: t('fundType'),
+        },
+        {
+          key: 'fundManager',
+          type: FieldType.Text,
+          label: t('fundManager'),
+        },
+        {
+          key: 'inceptionDate',
+          type: FieldType.Text,
+          label: t('inceptionDate'),
+        },
+        {
+          key: 'fundSize',
+          type: FieldType.Number,
+          label: t('fundSize'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'managementFee',
+          type: FieldType.Number,
+          label: t('managementFee'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'custodyFee',
+          type: FieldType.Number,
+          label: t('custodyFee'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'riskLevel',
+          type: FieldType.Text,
+          label: t('riskLevel'),
+        },
+        {
+          key: 'holdingsDate',
+          type: FieldType.Text,
+          label: t('holdingsDate'),
+        },
+        {
+          key: 'topHoldings',
+          type: FieldType.Text,
+          label: t('topHoldings'),
+        },
+        {
+          key: 'peRatio',
+          type: FieldType.Number,
+          label: t('peRatio'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'pbRatio',
+          type: FieldType.Number,
+          label: t('pbRatio'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'turnoverRate',
+          type: FieldType.Number,
+          label: t('turnoverRate'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'amplitude',
+          type: FieldType.Number,
+          label: t('amplitude'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'floatMarketCap',
+          type: FieldType.Number,
+          label: t('floatMarketCap'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_THOUSANDS_DECIMALS,
+          }
+        },
+        {
+          key: 'totalShares',
+          type: FieldType.Number,
+          label: t('totalShares'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'floatShares',
+          type: FieldType.Number,
+          label: t('floatShares'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'dividendYield',
+          type: FieldType.Number,
+          label: t('dividendYield'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'industry',
+          type: FieldType.Text,
+          label: t('industry'),
+        },
+        {
+          key: 'limitUp',
+          type: FieldType.Number,
+          label: t('limitUp'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'limitDown',
+          type: FieldType.Number,
+          label: t('limitDown'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_2,
+          }
+        },
+        {
+          key: 'bestBid',
+          type: FieldType.Number,
+          label: t('bestBid'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'bestAsk',
+          type: FieldType.Number,
+          label: t('bestAsk'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'spread',
+          type: FieldType.Number,
+          label: t('spread'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'bidDepth',
+          type: FieldType.Text,
+          label: t('bidDepth'),
+        },
+        {
+          key: 'askDepth',
+          type: FieldType.Text,
+          label: t('askDepth'),
+        },
+        {
+          key: 'latestTradeTime',
+          type: FieldType.Text,
+          label: t('latestTradeTime'),
+        },
+        {
+          key: 'adjustedPrice',
+          type: FieldType.Number,
+          label: t('adjustedPrice'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'dividendPerShare',
+          type: FieldType.Number,
+          label: t('dividendPerShare'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'dividendExDate',
+          type: FieldType.Text,
+          label: t('dividendExDate'),
+        },
+        {
+          key: 'dividendPayDate',
+          type: FieldType.Text,
+          label: t('dividendPayDate'),
+        },
+        {
+          key: 'splitDate',
+          type: FieldType.Text,
+          label: t('splitDate'),
+        },
+        {
+          key: 'splitRatio',
+          type: FieldType.Number,
+          label: t('splitRatio'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'recentActions',
+          type: FieldType.Text,
+          label: t('recentActions'),
+        },
+        {
+          key: 'alert',
+          type: FieldType.SingleSelect,
+          label: t('alert'),
+          extra: {
+            options: [
+              { name: ALERT_TYPES.NONE },
+              { name: ALERT_TYPES.ABOVE },
+              { name: ALERT_TYPES.BELOW },
+              { name: ALERT_TYPES.BIG_MOVE },
+            ]
+          }
+        },
+        {
+          key: 'alertMessage',
+          type: FieldType.Text,
+          label: t('alertMessage'),
+        },
+        {
+          key: 'seriesStartDate',
+          type: FieldType.Text,
+          label: t('seriesStartDate'),
+        },
+        {
+          key: 'seriesCount',
+          type: FieldType.Number,
+          label: t('seriesCount'),
+        },
+        {
+          key: 'periodReturn',
+          type: FieldType.Number,
+          label: t('periodReturn'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'maxDrawdown',
+          type: FieldType.Number,
+          label: t('maxDrawdown'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'volatility',
+          type: FieldType.Number,
+          label: t('volatility'),
+          extra: {
+            formatter: NumberFormatter.PERCENTAGE,
+          }
+        },
+        {
+          key: 'periodHigh',
+          type: FieldType.Number,
+          label: t('periodHigh'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'periodLow',
+          type: FieldType.Number,
+          label: t('periodLow'),
+          extra: {
+            formatter: NumberFormatter.DIGITAL_ROUNDED_4,
+          }
+        },
+        {
+          key: 'seriesCsv',
+          type: FieldType.Text,
+          label: t('seriesCsv'),
+        },
       ],
     },
   },
-  execute: async (formItemParams: { stockCode: string; queryDate?: string }, context) => {
-    const { stockCode = '', queryDate = '' } = formItemParams;
+  execute: async (formItemParams: {
+    stockCode: string;
+    queryDate?: string;
+    fundValuation?: { label: string; value: FundValuationMode };
+    targetCurrency?: { label: string; value: TargetCurrency };
+    assetType?: { label: string; value: AssetTypeOption };
+    outputMode?: { label: string; value: OutputMode };
+    startDate?: string;
+    periodMetrics?: { label: string; value: ToggleOption };
+    fundProfile?: { label: string; value: ToggleOption };
+    fundamentals?: { label: string; value: ToggleOption };
+    priceAdjustment?: { label: string; value: PriceAdjustment };
+    corporateActions?: { label: string; value: ToggleOption };
+    forceRefresh?: { label: string; value: ToggleOption };
+    resultLanguage?: { label: string; value: Locale };
+    quantity?: number;
+    costPrice?: number;
+    upperPrice?: number;
+    lowerPrice?: number;
+    maxMovePercent?: string;
+  }, context) => {
+    const { stockCode = '', queryDate = '', fundValuation, targetCurrency, assetType, outputMode, startDate = '', periodMetrics, fundProfile, fundamentals, priceAdjustment, corporateActions, forceRefresh, resultLanguage, quantity, costPrice, upperPrice, lowerPrice, maxMovePercent } = formItemParams;
+    
+    const locale = resolveLocale(resultLanguage);
+    await loadCacheSnapshots();
+    const refresh = !!forceRefresh && forceRefresh.value === 'on';
+    const queryContext = getProviderContext(refresh);
+    const adjustment: PriceAdjustment = priceAdjustment ? priceAdjustment.value : 'none';
     
     // 验证日期输入
     const dateValidation = validateQueryDate(queryDate);
     if (!dateValidation.isValid) {
-      return {
-        code: FieldCode.Success,
-        data: {
-          id: `date_error_${Date.now()}`,
-          status: '失败',
-          symbol: stockCode || '无效代码',
-          name: dateValidation.message || '日期格式错误',
-          price: -1002,
-          date: queryDate || '无效日期'
-        }
-      };
+      return buildErrorResult(ERROR_CODES.INVALID_DATE, locale, {
+        id: `date_error_${Date.now()}`,
+        symbol: stockCode,
+        date: queryDate,
+        detailCode: dateValidation.detail
+      });
     }
 
     const validatedDate = dateValidation.formattedDate;
+    const seriesMode = !!outputMode && outputMode.value === 'series';
+    const depthMode = !!outputMode && outputMode.value === 'depth';
+
+    // 历史序列模式：日期为结束日期，开始日期留空时默认回溯 SERIES_DEFAULT_DAYS 天
+    let seriesStartDate = '';
+    if (seriesMode) {
+      if (isBasketInput(stockCode)) {
+        return buildErrorResult(ERROR_CODES.INVALID_CODE, locale, {
+          id: `series_error_${Date.now()}`,
+          symbol: stockCode,
+          date: validatedDate,
+          detailCode: ERROR_DETAILS.SERIES_SINGLE_CODE
+        });
+      }
+
+      const startValidation = startDate.trim()
+        ? validateQueryDate(startDate)
+        : { isValid: true, formattedDate: shiftDate(validatedDate, -CONFIG.SERIES_DEFAULT_DAYS), detail: undefined };
+      if (!startValidation.isValid || startValidation.formattedDate > validatedDate) {
+        return buildErrorResult(ERROR_CODES.INVALID_DATE, locale, {
+          id: `date_error_${Date.now()}`,
+          symbol: stockCode,
+          date: validatedDate,
+          detailCode: startValidation.detail || ERROR_DETAILS.START_AFTER_END
+        });
+      }
+      seriesStartDate = startValidation.formattedDate;
+    }
+
+    // 盘口模式：实时单个代码
+    if (depthMode && isBasketInput(stockCode)) {
+      return buildErrorResult(ERROR_CODES.INVALID_CODE, locale, {
+        id: `depth_error_${Date.now()}`,
+        symbol: stockCode,
+        date: validatedDate,
+        detailCode: ERROR_DETAILS.DEPTH_SINGLE_CODE
+      });
+    }
     
-    const validation = validateStockCode(stockCode);
-    if (!validation.isValid) {
-      return {
-        code: FieldCode.Success,
-        data: {
-          id: `error_${Date.now()}`,
-          status: '失败',
-          symbol: stockCode || '无效代码',
-          name: validation.message || '请输入有效的股票或基金代码',
-          price: -1001,
-          date: validatedDate
-        }
-      };
+    // 多个代码：组合模式，返回各代码明细及组合合计
+    if (isBasketInput(stockCode)) {
+      return await executeBasket(stockCode, validatedDate, {
+        fundValuation: fundValuation ? fundValuation.value : 'nav',
+        assetTypeOption: assetType ? assetType.value : 'auto',
+        targetCurrency: targetCurrency ? targetCurrency.value : 'original',
+        forceRefresh: refresh,
+        locale
+      });
     }
 
     try {
       const inputCode = stockCode.trim();
-      const optimizer = BatchQueryOptimizer.getInstance();
-      const result = await optimizer.addQuery(inputCode);
+
+      // 名称、拼音首字母和6位代码先解析为查询代码
+      const resolution = await resolveInputCode(inputCode, assetType ? assetType.value : 'auto');
+      if (!resolution.success || !resolution.symbol) {
+        return buildErrorResult(ERROR_CODES.INVALID_CODE, locale, {
+          id: `error_${Date.now()}`,
+          symbol: inputCode,
+          date: validatedDate,
+          sourceDetail: resolution.message
+        });
+      }
+
+      if (seriesMode) {
+        return await executeSeries(inputCode, resolution, seriesStartDate, validatedDate, adjustment, locale, queryContext);
+      }
+
+      const queried = await queryResolvedCode(resolution, {
+        queryDate: validatedDate,
+        fundValuation: fundValuation ? fundValuation.value : 'nav',
+        forceRefresh: refresh
+      });
+      const result = queried.result;
+      const resolvedSymbol = queried.resolution.symbol!;
+      const resolvedType = queried.resolution.assetType;
+      const validation = validateStockCode(resolvedSymbol);
       
-      if (result.code === FieldCode.Success) {
-        if (result.data.price <= 0) {
-          result.data.price = CONFIG.PRICE_UNAVAILABLE;
-          result.data.name += '（价格暂不可用）';
-        }
-        return {
-          code: result.code,
-          data: {
-            ...result.data,
-            status: '成功'
-          }
+      if (result.code !== FieldCode.Success) {
+        return buildErrorResult(ERROR_CODES.QUERY_FAILED, locale, {
+          id: `error_${inputCode}_${Date.now()}`,
+          symbol: inputCode,
+          resolvedSymbol,
+          assetType: resolvedType,
+          date: validatedDate,
+          sourceDetail: result.message
+        });
+      }
+
+      const originalCurrency: Currency = validation.currency || 'CNY';
+
+      // 名称已解析但无有效价格：保留名称和日期，价格留空
+      if (!(result.data.price > 0)) {
+        return buildErrorResult(ERROR_CODES.PRICE_UNAVAILABLE, locale, {
+          ...result.data,
+          symbol: inputCode,
+          resolvedSymbol,
+          assetType: resolvedType,
+          date: result.data.date || validatedDate,
+          currency: originalCurrency
+        });
+      }
+
+      // 批量缓存中的结果为共享对象，复制后再修改
+      let data: Record<string, any> = {
+        ...result.data,
+        // 持仓估值：按原币种计算，随后与价格一起参与币种换算
+        ...computeHolding(result.data.price, readNumberInput(quantity), readNumberInput(costPrice)),
+        symbol: inputCode,
+        resolvedSymbol,
+        assetType: resolvedType,
+        currency: originalCurrency,
+        marketStatus: getMarketStatusOn(getCalendarRegion(getMarket(resolvedSymbol)), isHistoricalDate(validatedDate) ? (result.data.date || validatedDate) : undefined)
+      };
+
+      // 阶段表现：与价格同币种，随后与价格一起参与币种换算
+      if (periodMetrics && periodMetrics.value === 'on') {
+        data = {
+          ...data,
+          ...await queryPeriodMetrics(resolvedSymbol, result.data.price, result.data.date || validatedDate, queryContext)
+        };
+      }
+
+      if (fundProfile && fundProfile.value === 'on') {
+        data = {
+          ...data,
+          ...await queryFundProfile(resolvedSymbol, queryContext)
+        };
+      }
+
+      // 基本面为实时数据，历史日期查询不返回
+      if (fundamentals && fundamentals.value === 'on' && !isHistoricalDate(validatedDate)) {
+        data = {
+          ...data,
+          ...await queryFundamentals(resolvedSymbol, result.data.price, result.data.date || validatedDate, queryContext, refresh)
         };
-      } else {
-        return {
-          code: FieldCode.Success,
-          data: {
-            id: `error_${inputCode}_${Date.now()}`,
-            status: '失败',
+      }
+
+      // 盘口为实时数据，历史日期查询不返回
+      if (depthMode && !isHistoricalDate(validatedDate)) {
+        data = {
+          ...data,
+          ...await queryDepth(resolvedSymbol, refresh ? queryContext : depthContext)
+        };
+      }
+
+      // 复权价格和分红拆分信息：与价格同币种，随后与价格一起参与币种换算
+      if (adjustment !== 'none') {
+        data.adjustedPrice = await queryAdjustedPrice(resolvedSymbol, result.data.date || validatedDate, adjustment, queryContext);
+      }
+
+      if (corporateActions && corporateActions.value === 'on') {
+        data = {
+          ...data,
+          ...await queryCorporateActions(resolvedSymbol, result.data.date || validatedDate, queryContext, refresh)
+        };
+      }
+
+      // 币种换算：原币种由代码前缀决定，目标币种不同时按实时汇率换算金额字段
+      // 历史日期查询不换算：只有实时汇率，按当前汇率折算历史价格会得到错误结果
+      const target = targetCurrency ? targetCurrency.value : 'original';
+      if (target !== 'original' && target !== originalCurrency) {
+        if (!canConvertAt(validatedDate)) {
+          return buildErrorResult(ERROR_CODES.FX_UNAVAILABLE, locale, {
+            id: `fx_error_${inputCode}_${Date.now()}`,
             symbol: inputCode,
-            name: result.message || '查询失败',
-            price: -2002,
-            date: validatedDate
-          }
+            resolvedSymbol,
+            assetType: resolvedType,
+            date: validatedDate,
+            detail: `${originalCurrency}/${target}`,
+            detailCode: ERROR_DETAILS.FX_HISTORICAL
+          });
+        }
+
+        try {
+          const exchangeRate = await getExchangeRate(originalCurrency, target, queryContext, validatedDate);
+          data = {
+            ...applyExchangeRate(data, exchangeRate.rate),
+            currency: target,
+            fxRate: exchangeRate.rate,
+            fxRateTime: exchangeRate.time
+          };
+        } catch (fxError) {
+          return buildErrorResult(ERROR_CODES.FX_UNAVAILABLE, locale, {
+            id: `fx_error_${inputCode}_${Date.now()}`,
+            symbol: inputCode,
+            resolvedSymbol,
+            assetType: resolvedType,
+            date: validatedDate,
+            detail: `${originalCurrency}/${target}`,
+            sourceDetail: String(fxError)
+          });
+        }
+      }
+
+      // 价格提醒：在币种换算之后判断，阈值与返回的价格同币种
+      const movePercent = readNumberInput(maxMovePercent);
+      const alertRule: AlertRule = {
+        upperPrice: readNumberInput(upperPrice),
+        lowerPrice: readNumberInput(lowerPrice),
+        maxMove: movePercent !== null && movePercent > 0 ? movePercent / 100 : null
+      };
+      if (hasAlertRule(alertRule)) {
+        data = {
+          ...data,
+          ...evaluatePriceAlert(data.price, typeof data.changePercent === 'number' ? data.changePercent : null, alertRule, locale)
         };
       }
-      
-    } catch (e) {
+
       return {
         code: FieldCode.Success,
         data: {
-          id: `exception_${Date.now()}`,
-          status: '失败',
-          symbol: stockCode || '未知代码',
-          name: `系统异常: ${String(e)}`,
-          price: -9999,
-          date: validatedDate
+          ...data,
+          status: STATUS.SUCCESS
         }
       };
+      
+    } catch (e) {
+      return buildErrorResult(ERROR_CODES.SYSTEM_ERROR, locale, {
+        id: `exception_${Date.now()}`,
+        symbol: stockCode,
+        date: validatedDate,
+        detail: String(e)
+      });
     }
   },
 });
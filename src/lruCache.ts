@@ -0,0 +1,130 @@
+import { CacheSnapshotEntry } from './cacheStore';
+
+// ==================== 高性能LRU缓存实现 ====================
+// timestamp 为写入时间，命中不刷新，避免频繁读取的条目永不过期；expiresAt 为写入时指定的过期时刻
+export class HighPerformanceLRUCache<T> {
+  private cache = new Map<string, { value: T; timestamp: number; accessCount: number; expiresAt?: number }>();
+  private maxSize: number;
+  private hitCount = 0;
+  private missCount = 0;
+  // 写入后的回调，用于触发持久化快照的延迟写回
+  private onChange?: () => void;
+
+  constructor(maxSize: number = 1000, onChange?: () => void) {
+    this.maxSize = maxSize;
+    this.onChange = onChange;
+  }
+
+  // ttl 可选：指定时按该条目自己的过期时间判断，否则按读取时传入的 ttl 判断
+  set(key: string, value: T, ttl?: number): void {
+    const expiresAt = ttl !== undefined ? Date.now() + ttl : undefined;
+    if (this.cache.has(key)) {
+      const item = this.cache.get(key)!;
+      item.value = value;
+      item.timestamp = Date.now();
+      item.expiresAt = expiresAt;
+      item.accessCount++;
+      this.cache.delete(key);
+      this.cache.set(key, item);
+    } else {
+      if (this.cache.size >= this.maxSize) {
+        const firstKey = this.cache.keys().next().value;
+        this.cache.delete(firstKey);
+      }
+      this.cache.set(key, {
+        value,
+        timestamp: Date.now(),
+        accessCount: 1,
+        expiresAt
+      });
+    }
+
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  get(key: string, ttl: number): T | null {
+    const item = this.cache.get(key);
+    if (!item) {
+      this.missCount++;
+      return null;
+    }
+
+    if (this.isExpired(item, ttl)) {
+      this.cache.delete(key);
+      this.missCount++;
+      return null;
+    }
+
+    item.accessCount++;
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    
+    this.hitCount++;
+    return item.value;
+  }
+
+  private isExpired(item: { timestamp: number; expiresAt?: number }, ttl: number): boolean {
+    const now = Date.now();
+    return item.expiresAt !== undefined ? now > item.expiresAt : now - item.timestamp > ttl;
+  }
+
+  delete(key: string): void {
+    this.cache.delete(key);
+  }
+
+  // 导出未过期条目（按 LRU 顺序，最近使用在后），未指定过期时间的条目按 ttl 换算为绝对过期时刻
+  snapshot(ttl: number): CacheSnapshotEntry[] {
+    const entries: CacheSnapshotEntry[] = [];
+    for (const [key, item] of this.cache.entries()) {
+      if (this.isExpired(item, ttl)) continue;
+      entries.push({
+        key,
+        value: item.value,
+        timestamp: item.timestamp,
+        expiresAt: item.expiresAt !== undefined ? item.expiresAt : item.timestamp + ttl
+      });
+    }
+    return entries;
+  }
+
+  // 从快照恢复：保留原写入时间和过期时刻，内存中已有的条目较新，不被覆盖
+  restore(entries: CacheSnapshotEntry[]): void {
+    for (const entry of entries) {
+      if (this.cache.has(entry.key)) continue;
+      if (this.cache.size >= this.maxSize) break;
+      this.cache.set(entry.key, {
+        value: entry.value as T,
+        timestamp: entry.timestamp,
+        accessCount: 0,
+        expiresAt: entry.expiresAt
+      });
+    }
+  }
+
+  clear(): void {
+    this.cache.clear();
+    this.hitCount = 0;
+    this.missCount = 0;
+  }
+
+  getStats() {
+    const total = this.hitCount + this.missCount;
+    return {
+      size: this.cache.size,
+      hitRate: total > 0 ? (this.hitCount / total * 100).toFixed(2) + '%' : '0%',
+      hitCount: this.hitCount,
+      missCount: this.missCount
+    };
+  }
+
+  // 添加缓存清理方法
+  cleanup(ttl: number): void {
+    for (const [key, item] of this.cache.entries()) {
+      if (this.isExpired(item, ttl)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+}
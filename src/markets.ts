@@ -0,0 +1,175 @@
+import { PATTERNS } from './config';
+import { AssetType, AssetTypeOption, Market } from './types';
+
+// ==================== 市场识别规则 ====================
+// 带前缀代码的格式规则及格式错误时的提示
+interface MarketRule {
+  market: Exclude<Market, 'fund'>;
+  pattern: RegExp;
+  message: string;
+}
+
+// 港股指数代码（腾讯、新浪行情通用）：恒生指数、国企指数、红筹指数、恒生科技指数
+// 只接受列出的指数，避免 hk 开头的拼音首字母（如 hkws 海康威视）被当作港股代码
+export const HK_INDEX_CODES = ['HSI', 'HSCEI', 'HSCCI', 'HSTECH'];
+
+// 国内期货品种代码（上期所、上期能源、大商所、郑商所、中金所、广期所）
+// 不带下划线的 nf 代码只接受列出的品种加合约月份，避免 nf 开头的拼音首字母（如 nfsq 农夫山泉）被当作期货代码
+export const FUTURES_ROOTS = [
+  'CU', 'AL', 'ZN', 'PB', 'NI', 'SN', 'AU', 'AG', 'RB', 'WR', 'HC', 'SS', 'BU', 'RU', 'FU', 'SP', 'AO', 'BR',
+  'SC', 'LU', 'NR', 'BC', 'EC',
+  'A', 'B', 'M', 'Y', 'P', 'C', 'CS', 'JD', 'L', 'V', 'PP', 'J', 'JM', 'I', 'EG', 'EB', 'PG', 'RR', 'LH', 'FB', 'BB', 'LG',
+  'SR', 'CF', 'CY', 'TA', 'MA', 'FG', 'RM', 'OI', 'ZC', 'SF', 'SM', 'AP', 'CJ', 'UR', 'SA', 'PK', 'PF', 'PX', 'SH', 'RI', 'JR', 'LR', 'WH', 'PM',
+  'IF', 'IH', 'IC', 'IM', 'TS', 'TF', 'T', 'TL',
+  'SI', 'LC', 'PS',
+];
+
+export const MARKET_RULES: MarketRule[] = [
+  {
+    market: 'sh',
+    pattern: /^sh\d{6}$/i,
+    message: '上交所代码应为 sh 加 6 位数字，如 sh600519（股票）、sh510300（ETF）、sh113050（可转债）、sh000001（指数）'
+  },
+  {
+    market: 'sz',
+    pattern: /^sz\d{6}$/i,
+    message: '深交所代码应为 sz 加 6 位数字，如 sz000001（股票）、sz159915（ETF）、sz123107（可转债）、sz399001（指数）'
+  },
+  {
+    market: 'bj',
+    pattern: /^bj\d{6}$/i,
+    message: '北交所代码应为 bj 加 6 位数字，如 bj430047、bj920002'
+  },
+  {
+    market: 'hk',
+    pattern: new RegExp(`^hk(\\d{5}|${HK_INDEX_CODES.join('|')})$`, 'i'),
+    message: `港股代码应为 hk 加 5 位数字，如 hk00700；指数支持 ${HK_INDEX_CODES.map(code => `hk${code}`).join('、')}`
+  },
+  {
+    market: 'us',
+    pattern: /^us\.?[a-z][a-z.\-]{0,9}$/i,
+    message: '美股代码应为 us 加股票代码，如 usAAPL；指数如 us.DJI、us.IXIC、us.INX'
+  },
+  {
+    market: 'nf',
+    pattern: new RegExp(`^nf(_[a-z]{1,2}\\d{0,4}|(${FUTURES_ROOTS.join('|')})\\d{1,4})$`, 'i'),
+    message: '期货代码应为 nf 加品种和合约月份，如 nfRB2501、nf_RB2501；nfRB0 为主力连续合约'
+  },
+];
+
+// 按前缀查找市场规则
+export function findMarketRule(code: string): MarketRule | null {
+  const prefix = code.substring(0, 2).toLowerCase();
+  return MARKET_RULES.find(rule => rule.market === prefix) || null;
+}
+
+// 6 位数字代码所属交易所（按号段）：
+// 上交所 60/68 股票、900 B股、5 场内基金、11 可转债；北交所 4/8/92；其余归深交所（00/30 股票、15/16 场内基金、12 可转债、39 指数）
+export function inferExchange(code: string): 'sh' | 'sz' | 'bj' {
+  if (/^(6|9[0-1]|5|11)/.test(code)) return 'sh';
+  if (/^(4|8|92)/.test(code)) return 'bj';
+  return 'sz';
+}
+
+// 沪深北代码的号段规则，按顺序匹配第一条
+const EXCHANGE_CODE_RULES: Array<{ exchange: 'sh' | 'sz' | 'bj'; pattern: RegExp; assetType: AssetType }> = [
+  { exchange: 'sh', pattern: /^000/, assetType: 'index' },
+  { exchange: 'sh', pattern: /^(51|56|58)/, assetType: 'etf' },
+  { exchange: 'sh', pattern: /^5/, assetType: 'fund' },
+  { exchange: 'sh', pattern: /^1[0-3]/, assetType: 'bond' },
+  { exchange: 'sz', pattern: /^399/, assetType: 'index' },
+  { exchange: 'sz', pattern: /^159/, assetType: 'etf' },
+  { exchange: 'sz', pattern: /^1[5-8]/, assetType: 'fund' },
+  { exchange: 'sz', pattern: /^1[0-4]/, assetType: 'bond' },
+];
+
+// 带前缀代码的资产类型：沪深按号段，北交所均为股票，港美股字母代码为指数，nf 为期货
+export function classifySymbol(symbol: string): AssetType {
+  const market = symbol.substring(0, 2).toLowerCase();
+  const code = symbol.substring(2);
+
+  if (market === 'nf') return 'futures';
+  if (market === 'hk') return /^\d+$/.test(code) ? 'stock' : 'index';
+  if (market === 'us') return code.startsWith('.') ? 'index' : 'stock';
+  if (market === 'sh' || market === 'sz') {
+    const rule = EXCHANGE_CODE_RULES.find(item => item.exchange === market && item.pattern.test(code));
+    return rule ? rule.assetType : 'stock';
+  }
+  if (PATTERNS.FUND_CODE.test(symbol)) return 'fund';
+
+  return 'stock';
+}
+
+// 自动识别时 6 位数字代码的号段规则：
+// 60/68/900 沪市股票，002/003/30/200 深市股票，4/8/92 北交所股票，51/56/58 沪市ETF，159 深市ETF，
+// 111/113/118 沪市可转债，123/127/128 深市可转债，399 深市指数，其余按场外基金
+const AUTO_CODE_RULES: Array<{ pattern: RegExp; exchange: 'sh' | 'sz' | 'bj'; assetType: AssetType }> = [
+  { pattern: /^(60|68|900)/, exchange: 'sh', assetType: 'stock' },
+  { pattern: /^(002|003|30|200)/, exchange: 'sz', assetType: 'stock' },
+  { pattern: /^(4|8|92)/, exchange: 'bj', assetType: 'stock' },
+  { pattern: /^(51|56|58)/, exchange: 'sh', assetType: 'etf' },
+  { pattern: /^159/, exchange: 'sz', assetType: 'etf' },
+  { pattern: /^(111|113|118)/, exchange: 'sh', assetType: 'bond' },
+  { pattern: /^(123|127|128)/, exchange: 'sz', assetType: 'bond' },
+  { pattern: /^399/, exchange: 'sz', assetType: 'index' },
+];
+
+// 场外基金与深市主板、中小板号段重叠（000-003）：自动识别时首选查询没有有效价格，改查另一种资产
+const OVERLAP_CODE_PATTERN = /^00[0-3]/;
+
+export interface BareCodeResolution {
+  symbol: string;
+  assetType: AssetType;
+  fallback?: { symbol: string; assetType: AssetType };
+}
+
+/**
+ * 6 位数字代码按资产类型确定查询代码
+ * 场外基金保持 6 位数字（查询净值），其余加交易所前缀（查询场内价格）
+ * 自动识别时 000/001 先按场外基金、002/003 先按深市股票，另一种作为备选
+ */
+export function resolveBareCode(code: string, option: AssetTypeOption = 'auto'): BareCodeResolution {
+  switch (option) {
+    case 'fund':
+      return { symbol: code, assetType: 'fund' };
+    case 'stock':
+      return { symbol: `${inferExchange(code)}${code}`, assetType: 'stock' };
+    case 'index':
+      return { symbol: `${code.startsWith('399') ? 'sz' : 'sh'}${code}`, assetType: 'index' };
+    case 'etf':
+      return { symbol: `${code.startsWith('1') ? 'sz' : 'sh'}${code}`, assetType: 'etf' };
+    default: {
+      const rule = AUTO_CODE_RULES.find(item => item.pattern.test(code));
+      const resolution: BareCodeResolution = rule
+        ? { symbol: `${rule.exchange}${code}`, assetType: rule.assetType }
+        : { symbol: code, assetType: 'fund' };
+
+      if (OVERLAP_CODE_PATTERN.test(code)) {
+        resolution.fallback = resolution.assetType === 'fund'
+          ? { symbol: `sz${code}`, assetType: 'stock' }
+          : { symbol: code, assetType: 'fund' };
+      }
+      return resolution;
+    }
+  }
+}
+
+// 统一代码写法：美股代码大写，期货为 nf 加大写品种合约，其余小写
+export function normalizeSymbol(code: string): string {
+  const trimmed = code.trim();
+  const prefix = trimmed.substring(0, 2).toLowerCase();
+
+  if (prefix === 'us') {
+    return `us${trimmed.substring(2).toUpperCase()}`;
+  }
+
+  if (prefix === 'nf') {
+    return `nf${trimmed.substring(2).replace(/^_/, '').toUpperCase()}`;
+  }
+
+  if (prefix === 'hk' && !/^hk\d+$/i.test(trimmed)) {
+    return `hk${trimmed.substring(2).toUpperCase()}`;
+  }
+
+  return trimmed.toLowerCase();
+}
@@ -0,0 +1,99 @@
+import { CONFIG } from './config';
+import { fetchPriceSeries, SeriesPoint } from './providers/series';
+import { ProviderContext } from './providers/types';
+import { shiftDate, shiftMonths } from './utils';
+
+// ==================== 阶段表现 ====================
+// 股票与基金统一按前复权历史序列计算：基准为各区间起点当日（非交易日取之前最近一个交易日）的复权收盘价/单位净值，区间跨越分红、送转或拆分时不产生虚假涨跌
+export interface PeriodMetrics {
+  return1W: number | null;
+  return1M: number | null;
+  return3M: number | null;
+  returnYtd: number | null;
+  return1Y: number | null;
+  high52Week: number | null;
+  fromHigh52Week: number | null;
+}
+
+export const EMPTY_PERIOD_METRICS: PeriodMetrics = {
+  return1W: null,
+  return1M: null,
+  return3M: null,
+  returnYtd: null,
+  return1Y: null,
+  high52Week: null,
+  fromHigh52Week: null
+};
+
+// 不晚于基准日期的最近一个数据点的收盘价；序列不覆盖该日期时返回 null
+function closeOnOrBefore(points: SeriesPoint[], date: string): number | null {
+  if (points.length === 0 || points[0].date > date) return null;
+
+  let close: number | null = null;
+  for (const point of points) {
+    if (point.date > date) break;
+    close = point.close;
+  }
+  return close;
+}
+
+// 收益率：小数，保留 6 位
+function ratio(price: number, base: number | null): number | null {
+  return base && base > 0 ? parseFloat((price / base - 1).toFixed(6)) : null;
+}
+
+/**
+ * 计算近1周/1月/3月/今年以来/1年收益率及距52周最高价的幅度
+ * @param points 按日期升序排列的历史序列，应覆盖结束日期前一年以上
+ * @param price 当前价格（实时价或历史日期收盘价），作为各区间的终点
+ * @param endDate 价格日期，各区间起点由此回推
+ */
+export function computePeriodMetrics(points: SeriesPoint[], price: number, endDate: string): PeriodMetrics {
+  const history = points.filter(point => point.date <= endDate);
+  if (history.length === 0 || !(price > 0)) {
+    return { ...EMPTY_PERIOD_METRICS };
+  }
+
+  // 52周最高：优先取K线最高价，净值序列取单位净值；当前价格也计入
+  const yearAgo = shiftMonths(endDate, -12);
+  let high52Week = price;
+  for (const point of history) {
+    if (point.date <= yearAgo) continue;
+    high52Week = Math.max(high52Week, typeof point.high === 'number' ? point.high : point.close);
+  }
+
+  return {
+    return1W: ratio(price, closeOnOrBefore(history, shiftDate(endDate, -7))),
+    return1M: ratio(price, closeOnOrBefore(history, shiftMonths(endDate, -1))),
+    return3M: ratio(price, closeOnOrBefore(history, shiftMonths(endDate, -3))),
+    returnYtd: ratio(price, closeOnOrBefore(history, `${Number(endDate.substring(0, 4)) - 1}-12-31`)),
+    return1Y: ratio(price, closeOnOrBefore(history, yearAgo)),
+    high52Week,
+    fromHigh52Week: ratio(price, high52Week)
+  };
+}
+
+// 前复权序列以最新数据为基准；价格日期有数据点时按该日实际价格等比换算，使历史日期查询的基准与价格口径一致
+function rebaseToPrice(points: SeriesPoint[], price: number, endDate: string): SeriesPoint[] {
+  const anchor = points.find(point => point.date === endDate);
+  if (!anchor || anchor.close === price) return points;
+
+  const factor = price / anchor.close;
+  const scale = (value: number | null | undefined) => typeof value === 'number' ? parseFloat((value * factor).toFixed(4)) : value;
+  return points.map(point => ({ ...point, close: scale(point.close) as number, high: scale(point.high) }));
+}
+
+/**
+ * 获取前复权历史序列并计算阶段表现：股票、场内基金取前复权日K线，场外基金按分红/拆分记录换算单位净值
+ * @param price 价格日期的实际价格（实时价或历史日期收盘价）
+ * @param endDate 价格日期
+ */
+export async function fetchPeriodMetrics(symbol: string, price: number, endDate: string, context: ProviderContext): Promise<PeriodMetrics> {
+  const startDate = shiftDate(shiftMonths(endDate, -12), -CONFIG.HISTORY_LOOKBACK_DAYS);
+  const seriesResult = await fetchPriceSeries(symbol, startDate, endDate, context, 'qfq');
+  if (!seriesResult.success || !seriesResult.series) {
+    return { ...EMPTY_PERIOD_METRICS };
+  }
+
+  return computePeriodMetrics(rebaseToPrice(seriesResult.series.points, price, endDate), price, endDate);
+}
@@ -0,0 +1,153 @@
+import { PATTERNS } from '../config';
+import { getMarket } from '../utils';
+import { readJsArray, toBeijingDate } from './pingzhongdata';
+import { ProviderContext } from './types';
+
+// ==================== 分红、送转与拆分记录 ====================
+// A股：东方财富数据中心分红送配明细（datacenter-web.eastmoney.com）；场外基金：天天基金净值走势中的每份派送记录
+const EASTMONEY_HEADERS = {
+  'Referer': 'https://data.eastmoney.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+const FUND_HEADERS = {
+  'Referer': 'https://fund.eastmoney.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+/**
+ * 公司行动：dividend 现金分红，split 份额拆分/折算或送转股
+ * cashPerShare 为每股（份）税前派现金额，ratio 为每股（份）变为的股（份）数，如 10送5 为 1.5
+ */
+export interface CorporateAction {
+  type: 'dividend' | 'split';
+  exDate: string;
+  recordDate: string | null;
+  payDate: string | null;
+  cashPerShare: number | null;
+  ratio: number | null;
+  description: string;
+}
+
+// 数据中心日期（2025-06-19 00:00:00）转换为 YYYY-MM-DD
+function readDateTime(value: any): string | null {
+  const date = String(value || '').substring(0, 10);
+  return PATTERNS.DATE_FORMAT.test(date) ? date : null;
+}
+
+// 按除权日期降序排列
+function sortByExDateDesc(actions: CorporateAction[]): CorporateAction[] {
+  return actions.sort((a, b) => a.exDate < b.exDate ? 1 : a.exDate > b.exDate ? -1 : 0);
+}
+
+/**
+ * A股分红送配明细解析：只保留已实施（有除权除息日）的方案
+ * 派息 PRETAX_BONUS_RMB 和送转 BONUS_IT_RATIO 均为每 10 股的数量；同时派息和送转的方案拆成两条记录
+ */
+export function parseStockDividends(responseText: string): CorporateAction[] {
+  let json: any;
+  try {
+    json = JSON.parse(responseText);
+  } catch (error) {
+    return [];
+  }
+
+  const rows: any[] = json && json.result && Array.isArray(json.result.data) ? json.result.data : [];
+  const actions: CorporateAction[] = [];
+  for (const row of rows) {
+    const exDate = readDateTime(row.EX_DIVIDEND_DATE);
+    if (!exDate) continue;
+
+    const base = {
+      exDate,
+      recordDate: readDateTime(row.EQUITY_RECORD_DATE),
+      payDate: readDateTime(row.PAY_CASH_DATE),
+      description: String(row.IMPL_PLAN_PROFILE || '').trim()
+    };
+    const bonus = parseFloat(row.PRETAX_BONUS_RMB);
+    if (bonus > 0) {
+      actions.push({ ...base, type: 'dividend', cashPerShare: parseFloat((bonus / 10).toFixed(6)), ratio: null });
+    }
+    const transfer = parseFloat(row.BONUS_IT_RATIO);
+    if (transfer > 0) {
+      actions.push({ ...base, type: 'split', cashPerShare: null, ratio: parseFloat((1 + transfer / 10).toFixed(6)), payDate: null });
+    }
+  }
+
+  return sortByExDateDesc(actions);
+}
+
+/**
+ * 场外基金分红/拆分解析：净值走势数据点的 unitMoney 字段
+ * 如 "分红：每份派现金0.0500元"、"拆分：每份基金份额折算1.0168份"，所在数据点的日期即除息/拆分日
+ */
+export function parseFundActions(script: string): CorporateAction[] {
+  const actions: CorporateAction[] = [];
+  for (const point of readJsArray(script, 'Data_netWorthTrend')) {
+    if (!point || typeof point.x !== 'number' || !point.unitMoney) continue;
+
+    const text = String(point.unitMoney).trim();
+    const exDate = toBeijingDate(point.x);
+    const cashMatch = text.match(/派现金\s*(\d+(?:\.\d+)?)\s*元/);
+    const splitMatch = text.match(/(?:折算|分拆)\s*(\d+(?:\.\d+)?)\s*份/);
+
+    if (cashMatch) {
+      actions.push({ type: 'dividend', exDate, recordDate: null, payDate: null, cashPerShare: parseFloat(cashMatch[1]), ratio: null, description: text });
+    } else if (splitMatch) {
+      actions.push({ type: 'split', exDate, recordDate: null, payDate: null, cashPerShare: null, ratio: parseFloat(splitMatch[1]), description: text });
+    }
+  }
+
+  return sortByExDateDesc(actions);
+}
+
+/**
+ * 获取分红、送转和拆分记录（除权日期降序）
+ * 场外基金复用净值走势请求；沪深北A股查询数据中心；其余市场不支持，返回 null
+ */
+export async function fetchCorporateActions(symbol: string, context: ProviderContext): Promise<CorporateAction[] | null> {
+  const market = getMarket(symbol);
+
+  if (market === 'fund') {
+    const script = await context.fetchText(`https://fund.eastmoney.com/pingzhongdata/${symbol}.js`, { headers: FUND_HEADERS });
+    return parseFundActions(script);
+  }
+
+  if (market === 'sh' || market === 'sz' || market === 'bj') {
+    const filter = encodeURIComponent(`(SECURITY_CODE="${symbol.substring(2)}")`);
+    const text = await context.fetchText(
+      `https://datacenter-web.eastmoney.com/api/data/v1/get?reportName=RPT_SHAREBONUS_DET&columns=ALL&pageNumber=1&pageSize=50&sortColumns=EX_DIVIDEND_DATE&sortTypes=-1&source=WEB&client=WEB&filter=${filter}`,
+      { headers: EASTMONEY_HEADERS }
+    );
+    return parseStockDividends(text);
+  }
+
+  return null;
+}
+
+/**
+ * 按分红/拆分记录对净值序列复权（腾讯K线由数据源直接提供复权价格，不经过此处）
+ * 每个除权日的复权因子：分红为 前收/(前收-每份派现)，拆分为拆分比例
+ * 后复权：价格乘以不晚于该日的全部因子；前复权：价格除以晚于该日的全部因子
+ * @param points 按日期升序排列的完整序列（前复权需要覆盖到最新的除权日）
+ */
+export function adjustPricePoints<T extends { date: string; close: number }>(points: T[], actions: CorporateAction[], adjustment: 'qfq' | 'hfq'): T[] {
+  const factors: Array<{ exDate: string; factor: number }> = [];
+  for (const action of actions) {
+    const before = points.filter(point => point.date < action.exDate);
+    const prevClose = before.length > 0 ? before[before.length - 1].close : null;
+
+    if (action.type === 'split' && action.ratio && action.ratio > 0) {
+      factors.push({ exDate: action.exDate, factor: action.ratio });
+    } else if (action.type === 'dividend' && action.cashPerShare && prevClose && prevClose > action.cashPerShare) {
+      factors.push({ exDate: action.exDate, factor: prevClose / (prevClose - action.cashPerShare) });
+    }
+  }
+
+  return points.map(point => {
+    const applied = factors.filter(item => adjustment === 'hfq' ? item.exDate <= point.date : item.exDate > point.date);
+    const product = applied.reduce((total, item) => total * item.factor, 1);
+    const close = adjustment === 'hfq' ? point.close * product : point.close / product;
+    return { ...point, close: parseFloat(close.toFixed(4)) };
+  });
+}
@@ -0,0 +1,445 @@
+import { CONFIG, PATTERNS } from '../config';
+import { QueryOptions } from '../types';
+import { getMarketSession } from '../calendar';
+import { isHistoricalDate, percentToRatio, shiftDate } from '../utils';
+import { HistoricalPriceData, ProviderContext, ProviderPayload, ProviderParseResult, QuoteProvider } from './types';
+
+// ==================== 天天基金网页数据源（fund.eastmoney.com） ====================
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// 基金名称解析 - 优化版本
+export function parseFundName(html: string, fundCode: string): string {
+  // 使用 indexOf 替代正则表达式进行初步筛选
+  const titleStart = html.indexOf('<title>');
+  const titleEnd = html.indexOf('</title>');
+  
+  if (titleStart !== -1 && titleEnd !== -1) {
+    const titleContent = html.substring(titleStart + 7, titleEnd);
+    
+    // 查找基金名称的关键词位置
+    const fundIndex = titleContent.indexOf('基金');
+    const netValueIndex = titleContent.indexOf('净值');
+    
+    if (fundIndex !== -1 || netValueIndex !== -1) {
+      // 提取基金名称部分
+      let name = titleContent;
+      
+      // 移除括号内容
+      const parenStart = name.indexOf('(');
+      if (parenStart !== -1) {
+        name = name.substring(0, parenStart);
+      }
+      
+      name = name.trim();
+      if (name && name !== `基金${fundCode}`) {
+        return name;
+      }
+    }
+  }
+
+  // 备用方案：查找 h1 标签
+  const h1Start = html.indexOf('<h1');
+  if (h1Start !== -1) {
+    const h1ContentStart = html.indexOf('>', h1Start) + 1;
+    const h1End = html.indexOf('</h1>', h1ContentStart);
+    
+    if (h1ContentStart > 0 && h1End !== -1) {
+      const name = html.substring(h1ContentStart, h1End).trim();
+      if (name && name !== `基金${fundCode}`) {
+        return name;
+      }
+    }
+  }
+
+  return `基金${fundCode}`;
+}
+
+// 定义基金净值数据接口
+interface FundNetValueData {
+  date: string;
+  netValue: number;
+  source: string;
+  context: string;
+}
+
+
+
+// 单位净值强校验函数
+export function validateNetValue(value: string): { isValid: boolean; price: number } {
+  const formatMatch = value.match(/^(\d+\.\d{4})$/);
+  if (!formatMatch) {
+    return { isValid: false, price: -1 };
+  }
+  
+  const price = parseFloat(formatMatch[1]);
+  
+  if (isNaN(price)) {
+    return { isValid: false, price: -1 };
+  }
+  
+  if (price < CONFIG.PRICE_RANGE.MIN || price > CONFIG.PRICE_RANGE.MAX) {
+    return { isValid: false, price: -1 };
+  }
+  
+  return { isValid: true, price };
+}
+
+// 不带年份的月日补全年份：晚于今天的日期属于上一年（如 1 月初看到的 12-31）
+function withInferredYear(month: string, day: string): string {
+  const today = getMarketSession('CN').localDate;
+  const monthDay = `${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const year = Number(today.substring(0, 4));
+  return `${monthDay > today.substring(5) ? year - 1 : year}-${monthDay}`;
+}
+
+// 日期格式化函数
+export function normalizeDate(dateText: string): string {
+  if (/^\d{1,2}-\d{1,2}$/.test(dateText)) {
+    const [month, day] = dateText.split('-');
+    return withInferredYear(month, day);
+  }
+  
+  if (/^\d{1,2}\/\d{1,2}$/.test(dateText)) {
+    const [month, day] = dateText.split('/');
+    return withInferredYear(month, day);
+  }
+  
+  return extractDateFromContext(dateText);
+}
+
+// 基金价格解析 - 优化版本
+export function parseFundPrice(html: string): number {
+  const foundItems: FundNetValueData[] = [];
+  
+  // 策略1：优先查找表格
+  const tableMatches = html.match(/<table[^>]*>[\s\S]*?<\/table>/gi);
+  if (tableMatches) {
+    for (const table of tableMatches) {
+      if (table.includes('单位净值')) {
+        const rows = table.match(/<tr[^>]*>[\s\S]*?<\/tr>/gi);
+        if (!rows) continue;
+        
+        let netValueColumnIndex = -1;
+        
+        // 找到"单位净值"列的索引
+        for (let i = 0; i < rows.length; i++) {
+          const row = rows[i];
+          if (row.includes('单位净值')) {
+            const cells = row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi);
+            if (cells) {
+              for (let j = 0; j < cells.length; j++) {
+                if (cells[j].includes('单位净值')) {
+                  netValueColumnIndex = j;
+                  break;
+                }
+              }
+            }
+            break;
+          }
+        }
+        
+        // 解析数据行
+        if (netValueColumnIndex !== -1) {
+          for (const row of rows) {
+            if (row.includes('单位净值') || row.includes('<th')) continue;
+            
+            const cells = row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi);
+            if (!cells || cells.length <= netValueColumnIndex) continue;
+            
+            const dateText = cells[0].replace(/<[^>]*>/g, '').trim();
+            const priceText = cells[netValueColumnIndex].replace(/<[^>]*>/g, '').trim();
+            
+            const validation = validateNetValue(priceText);
+            if (validation.isValid) {
+              const normalizedDate = normalizeDate(dateText);
+              
+              if (normalizedDate !== 'NO_DATE_FOUND') {
+                foundItems.push({
+                  date: normalizedDate,
+                  netValue: validation.price,
+                  source: 'table_parsing',
+                  context: ''
+                });
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  // 策略2：如果表格没找到数据，使用关键词搜索
+  if (foundItems.length === 0) {
+    const keyword = '单位净值';
+    let searchIndex = 0;
+    
+    while (true) {
+      const keywordIndex = html.indexOf(keyword, searchIndex);
+      if (keywordIndex === -1) break;
+      
+      const contextStart = Math.max(0, keywordIndex - 200);
+      const contextEnd = Math.min(html.length, keywordIndex + 500);
+      const context = html.substring(contextStart, contextEnd);
+      
+      const priceMatches = context.match(/\d+\.\d{4}/g);
+      if (priceMatches) {
+        for (const priceText of priceMatches) {
+          const validation = validateNetValue(priceText);
+          if (validation.isValid) {
+            const dateFound = extractDateFromContext(context);
+            
+            if (dateFound !== 'NO_DATE_FOUND') {
+              foundItems.push({
+                date: dateFound,
+                netValue: validation.price,
+                source: 'keyword_search',
+                context: ''
+              });
+            }
+          }
+        }
+      }
+      
+      searchIndex = keywordIndex + 1;
+    }
+  }
+  
+  // 选择最新日期的净值
+  if (foundItems.length > 0) {
+    foundItems.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+    return foundItems[0].netValue;
+  }
+  
+  return -1;
+}
+
+// 辅助函数：从上下文中提取日期（增强版）
+export function extractDateFromContext(context: string): string {
+  // 添加调试信息
+  const debugDateInfo = {
+    originalContext: context.substring(0, 200),
+    foundDates: [] as Array<{pattern: string, match: string, normalized: string}>
+  };
+
+  // 尝试多种日期格式，按优先级排序
+  const datePatterns = [
+    { name: 'standard_date', regex: /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/g },           // 2024-01-15 或 2024/1/15
+    { name: 'chinese_date', regex: /(\d{4}年\d{1,2}月\d{1,2}日)/g },              // 2024年1月15日
+    { name: 'net_value_date', regex: /净值日期[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },  // 净值日期：2024-01-15
+    { name: 'update_time', regex: /更新时间[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },   // 更新时间：2024-01-15
+    { name: 'date_label', regex: /日期[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },        // 日期：2024-01-15
+    { name: 'time_label', regex: /时间[^0-9]*(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/gi },        // 时间：2024-01-15
+    { name: 'short_date', regex: /(\d{1,2}[-\/]\d{1,2})/g },                      // 01-15 或 1/15 (当年)
+    { name: 'timestamp', regex: /(\d{8})/g }                                      // 20241015 格式
+  ];
+  
+  for (const pattern of datePatterns) {
+    let match;
+    pattern.regex.lastIndex = 0; // 重置正则表达式状态
+    
+    while ((match = pattern.regex.exec(context)) !== null) {
+      const dateStr = match[1];
+      let normalizedDate = '';
+      
+      try {
+        if (pattern.name === 'chinese_date') {
+          // 处理中文日期格式
+          normalizedDate = dateStr
+            .replace(/年/g, '-')
+            .replace(/月/g, '-')
+            .replace(/日/g, '');
+        } else if (pattern.name === 'short_date') {
+          // 处理短日期格式，补充年份（跨年时取上一年）
+          const [month, day] = dateStr.split(/[-\/]/);
+          normalizedDate = withInferredYear(month, day);
+        } else if (pattern.name === 'timestamp') {
+          // 处理8位时间戳格式 YYYYMMDD
+          if (dateStr.length === 8) {
+            normalizedDate = `${dateStr.substring(0,4)}-${dateStr.substring(4,6)}-${dateStr.substring(6,8)}`;
+          }
+        } else {
+          // 标准化其他格式
+          normalizedDate = dateStr.replace(/\//g, '-');
+        }
+        
+        // 验证日期有效性
+        const parsedDate = new Date(normalizedDate);
+        if (!isNaN(parsedDate.getTime()) && parsedDate.getFullYear() > 2000 && parsedDate.getFullYear() <= new Date().getFullYear() + 1) {
+          debugDateInfo.foundDates.push({
+            pattern: pattern.name,
+            match: dateStr,
+            normalized: normalizedDate
+          });
+          
+          // 输出日期解析调试信息
+          console.log(`日期解析成功: ${pattern.name} -> ${dateStr} -> ${normalizedDate}`);
+          
+          return normalizedDate;
+        }
+      } catch (error) {
+        console.log(`日期解析失败: ${pattern.name} -> ${dateStr} -> 错误: ${error}`);
+      }
+    }
+  }
+  
+  // 如果没有找到有效日期，不要返回今天的日期，而是返回一个特殊标记
+  console.log(`未找到有效日期，上下文: ${context.substring(0, 100)}...`);
+  console.log(`日期解析调试信息:`, JSON.stringify(debugDateInfo, null, 2));
+  
+  return 'NO_DATE_FOUND';
+}
+
+// 基金日期解析 - 优化版本
+export function parseFundDate(html: string): string {
+  // 使用 indexOf 查找日期关键词
+  const dateKeywords = ['更新时间', '净值日期'];
+  
+  for (const keyword of dateKeywords) {
+    const keywordIndex = html.indexOf(keyword);
+    if (keywordIndex !== -1) {
+      const searchStart = keywordIndex + keyword.length;
+      const searchText = html.substring(searchStart, searchStart + 30);
+      
+      // 查找日期格式
+      const dateMatch = searchText.match(/(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/);
+      if (dateMatch && dateMatch[1]) {
+        return dateMatch[1].replace(/\//g, '-');
+      }
+    }
+  }
+  
+  // 备用方案：查找任何日期格式
+  for (const pattern of PATTERNS.DATE_PATTERNS) {
+    const dateMatch = html.match(pattern);
+    if (dateMatch && dateMatch[1]) {
+      return dateMatch[1].replace(/年|月/g, '-').replace(/日/g, '').replace(/\//g, '-');
+    }
+  }
+  
+  // 页面未标注日期时取最近一个已收盘的交易日（净值在收盘后公布）
+  return getMarketSession('CN').lastClosedDate;
+}
+
+// 基金扩展字段：日增长率和累计净值
+export type FundQuoteDetails = {
+  changePercent: number | null;
+  accumulatedNav: number | null;
+};
+
+// 基金扩展字段解析：页面中"单位净值"后紧跟日增长率，"累计净值"后紧跟累计净值数值
+export function parseFundQuoteDetails(html: string): FundQuoteDetails {
+  const details: FundQuoteDetails = { changePercent: null, accumulatedNav: null };
+
+  const netValueIndex = html.indexOf('单位净值');
+  if (netValueIndex !== -1) {
+    const context = html.substring(netValueIndex, netValueIndex + 400).replace(/<[^>]*>/g, ' ');
+    const growthMatch = context.match(/([+-]?\d+\.\d+)%/);
+    if (growthMatch) {
+      details.changePercent = percentToRatio(parseFloat(growthMatch[1]));
+    }
+  }
+
+  const accumulatedIndex = html.indexOf('累计净值');
+  if (accumulatedIndex !== -1) {
+    const context = html.substring(accumulatedIndex, accumulatedIndex + 300).replace(/<[^>]*>/g, ' ');
+    const valueMatch = context.match(/\d+\.\d{4}/);
+    if (valueMatch) {
+      details.accumulatedNav = parseFloat(valueMatch[0]);
+    }
+  }
+
+  return details;
+}
+
+// 基金历史净值解析：取不晚于目标日期的最近一个净值日
+export function parseFundHistory(responseText: string, targetDate: string): HistoricalPriceData<FundQuoteDetails> | null {
+  try {
+    const json = JSON.parse(responseText);
+    const list = json && json.Data && Array.isArray(json.Data.LSJZList) ? json.Data.LSJZList : [];
+
+    let best: HistoricalPriceData<FundQuoteDetails> | null = null;
+    for (const item of list) {
+      const date = String(item.FSRQ || '').trim();
+      if (!PATTERNS.DATE_FORMAT.test(date) || date > targetDate) continue;
+
+      const validation = validateNetValue(String(item.DWJZ || '').trim());
+      if (!validation.isValid) continue;
+
+      if (!best || date > best.date) {
+        const growthRate = parseFloat(item.JZZZL);
+        const accumulatedNav = parseFloat(item.LJJZ);
+        best = {
+          date,
+          price: validation.price,
+          details: {
+            changePercent: isNaN(growthRate) ? null : percentToRatio(growthRate),
+            accumulatedNav: isNaN(accumulatedNav) ? null : accumulatedNav
+          }
+        };
+      }
+    }
+
+    return best;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 天天基金网页数据源：解析基金详情页，历史日期额外获取历史净值列表
+export const eastmoneyFundProvider: QuoteProvider = {
+  name: 'eastmoney',
+  assetClass: 'fund',
+  markets: ['fund'],
+  supportsHistory: true,
+
+  async fetch(fundCode: string, options: QueryOptions, context: ProviderContext): Promise<ProviderPayload> {
+    const payload: ProviderPayload = {
+      page: await context.fetchText(`https://fund.eastmoney.com/${fundCode}.html`, { headers: REQUEST_HEADERS })
+    };
+
+    if (isHistoricalDate(options.queryDate)) {
+      const startDate = shiftDate(options.queryDate!, -CONFIG.HISTORY_LOOKBACK_DAYS);
+      payload.history = await context.fetchText(
+        `https://api.fund.eastmoney.com/f10/lsjz?fundCode=${fundCode}&pageIndex=1&pageSize=20&startDate=${startDate}&endDate=${options.queryDate}`,
+        { headers: { ...REQUEST_HEADERS, 'Referer': 'https://fundf10.eastmoney.com/' } }
+      );
+    }
+
+    return payload;
+  },
+
+  parse(payload: ProviderPayload, fundCode: string, options: QueryOptions): ProviderParseResult {
+    const html = payload.page || '';
+    const fundName = parseFundName(html, fundCode);
+    let netValue = parseFundPrice(html);
+    let valueDate = parseFundDate(html);
+    let details: FundQuoteDetails = parseFundQuoteDetails(html);
+
+    // 历史日期：取该日（或之前最近一个交易日）公布的单位净值
+    if (isHistoricalDate(options.queryDate)) {
+      const history = parseFundHistory(payload.history || '', options.queryDate!);
+      netValue = history ? history.price : -1;
+      valueDate = history ? history.date : options.queryDate!;
+      details = history ? history.details : { changePercent: null, accumulatedNav: null };
+    }
+
+    if (!fundName || fundName.trim() === '') {
+      return {
+        success: false,
+        error: `基金代码 ${fundCode} 无法解析基金名称`
+      };
+    }
+
+    return {
+      success: true,
+      quote: {
+        name: fundName,
+        price: netValue,
+        date: valueDate,
+        details
+      }
+    };
+  }
+};
@@ -0,0 +1,70 @@
+import { ProviderContext } from './types';
+
+// ==================== 东方财富个股行情资料（push2.eastmoney.com） ====================
+// 补充腾讯行情没有的字段：所属行业和精确的总股本、流通股本（单位为股）
+const REQUEST_HEADERS = {
+  'Referer': 'https://quote.eastmoney.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// push2 字段编号：f84 总股本（股），f85 流通股本（股），f127 所属行业
+export const EASTMONEY_STOCK_FIELDS = {
+  TOTAL_SHARES: 'f84',
+  FLOAT_SHARES: 'f85',
+  INDUSTRY: 'f127',
+};
+
+// 股本单位为亿股，与腾讯行情的市值（亿元）口径一致；缺失字段为 null
+export interface StockProfile {
+  industry: string | null;
+  totalShares: number | null;
+  floatShares: number | null;
+}
+
+// 东方财富市场编号：沪市 1，深市和北交所 0
+function toSecId(symbol: string): string | null {
+  const market = symbol.substring(0, 2).toLowerCase();
+  const code = symbol.substring(2);
+  if (market === 'sh') return `1.${code}`;
+  if (market === 'sz' || market === 'bj') return `0.${code}`;
+  return null;
+}
+
+// 股数转换为亿股；接口用 "-" 或 0 表示缺失
+function toHundredMillion(value: any): number | null {
+  const shares = typeof value === 'number' ? value : parseFloat(value);
+  return !isNaN(shares) && shares > 0 ? parseFloat((shares / 1e8).toFixed(4)) : null;
+}
+
+// 解析 push2 个股接口响应，data 为空（代码不存在）时返回 null
+export function parseEastmoneyStockProfile(responseText: string): StockProfile | null {
+  let json: any;
+  try {
+    json = JSON.parse(responseText);
+  } catch (error) {
+    return null;
+  }
+
+  const data = json && json.data;
+  if (!data) return null;
+
+  const industry = typeof data[EASTMONEY_STOCK_FIELDS.INDUSTRY] === 'string' ? data[EASTMONEY_STOCK_FIELDS.INDUSTRY].trim() : '';
+  return {
+    industry: industry && industry !== '-' ? industry : null,
+    totalShares: toHundredMillion(data[EASTMONEY_STOCK_FIELDS.TOTAL_SHARES]),
+    floatShares: toHundredMillion(data[EASTMONEY_STOCK_FIELDS.FLOAT_SHARES])
+  };
+}
+
+// 获取沪深北个股的行业和股本，其余市场返回 null
+export async function fetchEastmoneyStockProfile(symbol: string, context: ProviderContext): Promise<StockProfile | null> {
+  const secId = toSecId(symbol);
+  if (!secId) return null;
+
+  const fields = Object.values(EASTMONEY_STOCK_FIELDS).join(',');
+  const text = await context.fetchText(
+    `https://push2.eastmoney.com/api/qt/stock/get?secid=${secId}&fields=${fields}&invt=2&fltt=2`,
+    { headers: REQUEST_HEADERS }
+  );
+  return parseEastmoneyStockProfile(text);
+}
@@ -0,0 +1,139 @@
+import { ProviderContext } from './types';
+
+// ==================== 天天基金基金档案（fundf10.eastmoney.com） ====================
+const REQUEST_HEADERS = {
+  'Referer': 'https://fundf10.eastmoney.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// 返回的重仓股数量
+const TOP_HOLDINGS_COUNT = 10;
+
+export interface FundHolding {
+  code: string;
+  name: string;
+  // 占净值比例，小数
+  weight: number | null;
+}
+
+// 基金档案：规模单位为亿元，费率为小数（每年），缺失字段为 null
+export interface FundProfile {
+  fundType: string | null;
+  fundManager: string | null;
+  inceptionDate: string | null;
+  fundSize: number | null;
+  managementFee: number | null;
+  custodyFee: number | null;
+  riskLevel: string | null;
+  holdingsDate: string | null;
+  holdings: FundHolding[];
+}
+
+// 去除 HTML 标签和实体，合并空白
+function stripTags(html: string): string {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// 中文日期（2013年10月29日）转换为 YYYY-MM-DD
+function readChineseDate(text: string): string | null {
+  const match = text.match(/(\d{4})年(\d{1,2})月(\d{1,2})日/);
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : null;
+}
+
+// 百分数文本（1.00%（每年））转换为小数
+function readPercent(text: string): number | null {
+  const match = text.match(/(-?\d+(?:\.\d+)?)%/);
+  return match ? parseFloat((parseFloat(match[1]) / 100).toFixed(6)) : null;
+}
+
+// 基本概况表格：<th>名称</th><td>值</td> 成对出现，按名称返回纯文本值
+export function parseOverviewTable(html: string): Record<string, string> {
+  const fields: Record<string, string> = {};
+  const pattern = /<th[^>]*>([\s\S]*?)<\/th>\s*<td[^>]*>([\s\S]*?)<\/td>/gi;
+
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(html)) !== null) {
+    const label = stripTags(match[1]);
+    if (label && !(label in fields)) {
+      fields[label] = stripTags(match[2]);
+    }
+  }
+
+  return fields;
+}
+
+// 持仓明细：取最新一期（响应中的第一个表格），按表头定位股票代码、名称和占净值比例列
+export function parseTopHoldings(responseText: string): { date: string | null; holdings: FundHolding[] } {
+  const tableMatch = responseText.match(/<table[\s\S]*?<\/table>/i);
+  if (!tableMatch) {
+    return { date: null, holdings: [] };
+  }
+
+  const dateMatch = responseText.substring(0, tableMatch.index).match(/截止至：\s*(?:<[^>]*>)?\s*(\d{4}-\d{2}-\d{2})/);
+  const headers = (tableMatch[0].match(/<th[^>]*>[\s\S]*?<\/th>/gi) || []).map(stripTags);
+  const codeIndex = headers.indexOf('股票代码');
+  const nameIndex = headers.indexOf('股票名称');
+  const weightIndex = headers.indexOf('占净值比例');
+  if (codeIndex === -1 || nameIndex === -1) {
+    return { date: null, holdings: [] };
+  }
+
+  const holdings: FundHolding[] = [];
+  for (const row of tableMatch[0].match(/<tr[^>]*>[\s\S]*?<\/tr>/gi) || []) {
+    const cells = (row.match(/<td[^>]*>[\s\S]*?<\/td>/gi) || []).map(stripTags);
+    if (cells.length <= Math.max(codeIndex, nameIndex)) continue;
+
+    holdings.push({
+      code: cells[codeIndex],
+      name: cells[nameIndex],
+      weight: weightIndex !== -1 && cells[weightIndex] ? readPercent(cells[weightIndex]) : null
+    });
+    if (holdings.length >= TOP_HOLDINGS_COUNT) break;
+  }
+
+  return { date: dateMatch ? dateMatch[1] : null, holdings };
+}
+
+// 基金档案解析：基本概况页提供类型、经理、成立日期、规模、费率和风险等级，持仓明细另行解析
+export function parseFundProfile(overviewHtml: string, holdingsText: string): FundProfile {
+  const fields = parseOverviewTable(overviewHtml);
+  const sizeMatch = (fields['资产规模'] || '').match(/(\d+(?:\.\d+)?)亿元/);
+  const riskMatch = overviewHtml.match(/(低风险|中低风险|中风险|中高风险|高风险)/);
+  const { date, holdings } = parseTopHoldings(holdingsText);
+
+  return {
+    fundType: fields['基金类型'] || null,
+    fundManager: fields['基金经理人'] || null,
+    inceptionDate: readChineseDate(fields['成立日期/规模'] || ''),
+    fundSize: sizeMatch ? parseFloat(sizeMatch[1]) : null,
+    managementFee: readPercent(fields['管理费率'] || ''),
+    custodyFee: readPercent(fields['托管费率'] || ''),
+    riskLevel: riskMatch ? riskMatch[1] : null,
+    holdingsDate: date,
+    holdings
+  };
+}
+
+// 重仓股文本：每行一只，如 1. 贵州茅台(600519) 5.12%
+export function formatHoldings(holdings: FundHolding[]): string {
+  return holdings.map((holding, index) => {
+    const weight = holding.weight !== null ? ` ${(holding.weight * 100).toFixed(2)}%` : '';
+    return `${index + 1}. ${holding.name}(${holding.code})${weight}`;
+  }).join('\n');
+}
+
+// 获取基金档案：基本概况页和最新一期股票持仓明细
+export async function fetchFundProfile(fundCode: string, context: ProviderContext): Promise<FundProfile> {
+  const [overviewHtml, holdingsText] = await Promise.all([
+    context.fetchText(`https://fundf10.eastmoney.com/jbgk_${fundCode}.html`, { headers: REQUEST_HEADERS }),
+    // 持仓明细失败（如货币基金无股票持仓）不影响基本概况
+    context.fetchText(`https://fundf10.eastmoney.com/FundArchivesDatas.aspx?type=jjcc&code=${fundCode}&topline=${TOP_HOLDINGS_COUNT}`, { headers: REQUEST_HEADERS })
+      .catch(() => '')
+  ]);
+
+  return parseFundProfile(overviewHtml, holdingsText);
+}
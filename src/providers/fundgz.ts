@@ -0,0 +1,60 @@
+import { MarketSession } from '../calendar';
+import { percentToRatio } from '../utils';
+import { ProviderContext } from './types';
+
+// ==================== 天天基金盘中估值（fundgz.1234567.com.cn） ====================
+// 基金盘中估值获取函数（JSONP 格式）
+export async function fetchFundEstimate(fundCode: string, context: ProviderContext): Promise<string> {
+  return await context.fetchText(`https://fundgz.1234567.com.cn/js/${fundCode}.js`, {
+    headers: {
+      'Referer': 'https://fund.eastmoney.com/',
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    }
+  });
+}
+
+// 基金盘中估值数据
+export interface FundEstimateData {
+  estimatedNav: number;
+  estimatedChangePercent: number | null;
+  estimateTime: string;
+}
+
+// 基金盘中估值解析：jsonpgz({"fundcode":"000311","gsz":"2.4601","gszzl":"0.14","gztime":"2024-01-31 14:30",...});
+export function parseFundEstimate(responseText: string): FundEstimateData | null {
+  const jsonStart = responseText.indexOf('{');
+  const jsonEnd = responseText.lastIndexOf('}');
+  if (jsonStart === -1 || jsonEnd <= jsonStart) return null;
+
+  try {
+    const json = JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
+    const estimatedNav = parseFloat(json.gsz);
+    const changePercent = parseFloat(json.gszzl);
+    const estimateTime = String(json.gztime || '').trim();
+
+    if (isNaN(estimatedNav) || estimatedNav <= 0 || !/^\d{4}-\d{2}-\d{2}/.test(estimateTime)) {
+      return null;
+    }
+
+    return {
+      estimatedNav,
+      estimatedChangePercent: isNaN(changePercent) ? null : percentToRatio(changePercent),
+      estimateTime
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 获取可采用的盘中估值：仅在A股交易时段内且估值时间为当天（北京时间）时返回
+ * 非交易时段不发起请求；请求失败、响应为空或格式错误、估值时间不是当天时返回 null，由调用方保留已公布的单位净值
+ */
+export async function fetchLiveFundEstimate(fundCode: string, context: ProviderContext, session: MarketSession): Promise<FundEstimateData | null> {
+  if (session.status !== 'live') return null;
+
+  const estimate = await fetchFundEstimate(fundCode, context)
+    .then(parseFundEstimate)
+    .catch(() => null);
+  return estimate && estimate.estimateTime.startsWith(session.localDate) ? estimate : null;
+}
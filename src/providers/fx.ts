@@ -0,0 +1,92 @@
+import { Currency } from '../types';
+import { isHistoricalDate } from '../utils';
+import { ProviderContext } from './types';
+
+// ==================== 新浪外汇行情（hq.sinajs.cn） ====================
+const REQUEST_HEADERS = {
+  'Referer': 'https://finance.sina.com.cn/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// 各币种兑人民币的新浪外汇代码，交叉汇率通过人民币换算
+const FX_SYMBOLS: Record<Exclude<Currency, 'CNY'>, string> = {
+  USD: 'fx_susdcny',
+  HKD: 'fx_shkdcny',
+};
+
+// 新浪外汇字段索引：时间,买入价,卖出价,昨收,点差,开盘,最高,最低,最新价,名称,...,日期
+const FX_FIELDS = {
+  TIME: 0,
+  BID: 1,
+  LATEST: 8,
+};
+
+// 汇率：1 单位源货币可兑换的目标货币数量，time 为汇率报价时间
+export interface ExchangeRate {
+  rate: number;
+  time: string;
+}
+
+// 外汇行情解析：var hq_str_fx_susdcny="15:29:55,7.1230,7.1240,...,2025-10-16";
+export function parseFxQuote(responseText: string): ExchangeRate | null {
+  const quoteStart = responseText.indexOf('"');
+  const quoteEnd = responseText.lastIndexOf('"');
+  if (quoteStart === -1 || quoteEnd <= quoteStart) return null;
+
+  const values = responseText.substring(quoteStart + 1, quoteEnd).split(',');
+  const latest = parseFloat(values[FX_FIELDS.LATEST]);
+  const rate = !isNaN(latest) && latest > 0 ? latest : parseFloat(values[FX_FIELDS.BID]);
+  if (isNaN(rate) || rate <= 0) return null;
+
+  // 日期位于末尾字段，位置随品种不同，取最后一个日期格式的字段
+  const date = values.filter(value => /^\d{4}-\d{2}-\d{2}$/.test(value.trim())).pop();
+  const time = (values[FX_FIELDS.TIME] || '').trim();
+
+  return {
+    rate,
+    time: date ? `${date.trim()} ${time}`.trim() : time
+  };
+}
+
+// 获取某币种兑人民币汇率
+async function fetchRateToCny(currency: Currency, context: ProviderContext): Promise<ExchangeRate> {
+  if (currency === 'CNY') {
+    return { rate: 1, time: '' };
+  }
+
+  const text = await context.fetchText(`https://hq.sinajs.cn/list=${FX_SYMBOLS[currency]}`, { headers: REQUEST_HEADERS }, 'gbk');
+  const quote = parseFxQuote(text);
+  if (!quote) {
+    throw new Error(`${currency}/CNY 汇率解析失败`);
+  }
+  return quote;
+}
+
+// 数据源只提供实时汇率：价格日期为历史日期时不能换算，否则历史价格会按当前汇率折算
+export function canConvertAt(valueDate?: string): boolean {
+  return !isHistoricalDate(valueDate);
+}
+
+/**
+ * 获取 from → to 的汇率，非人民币之间通过人民币交叉换算
+ * 交叉汇率的报价时间取两个报价中较早的一个；valueDate 为历史日期时不请求数据源，直接抛出异常
+ */
+export async function getExchangeRate(from: Currency, to: Currency, context: ProviderContext, valueDate?: string): Promise<ExchangeRate> {
+  if (from === to) {
+    return { rate: 1, time: '' };
+  }
+  if (!canConvertAt(valueDate)) {
+    throw new Error(`${from}/${to} 仅有实时汇率，无法换算 ${valueDate} 的价格`);
+  }
+
+  const [fromQuote, toQuote] = await Promise.all([
+    fetchRateToCny(from, context),
+    fetchRateToCny(to, context)
+  ]);
+  const times = [fromQuote.time, toQuote.time].filter(time => time).sort();
+
+  return {
+    rate: parseFloat((fromQuote.rate / toQuote.rate).toFixed(6)),
+    time: times.length > 0 ? times[0] : ''
+  };
+}
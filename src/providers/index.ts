@@ -0,0 +1,85 @@
+import { QueryOptions } from '../types';
+import { getMarket, isHistoricalDate } from '../utils';
+import { eastmoneyFundProvider } from './eastmoneyFund';
+import { pingzhongDataProvider } from './pingzhongdata';
+import { sinaProvider } from './sina';
+import { tencentProvider } from './tencent';
+import { ProviderContext, ProviderQuote, QuoteProvider } from './types';
+
+// ==================== 数据源注册与故障切换 ====================
+// 按优先级排列：前一个数据源请求失败、格式不匹配或数据无效时依次切换到下一个
+// 基金优先使用结构化的 pingzhongdata 净值走势，基金详情页的 HTML 解析仅作兜底
+export const STOCK_PROVIDERS: QuoteProvider[] = [tencentProvider, sinaProvider];
+export const FUND_PROVIDERS: QuoteProvider[] = [pingzhongDataProvider, eastmoneyFundProvider];
+
+export interface ProviderChainResult {
+  // 是否取得有效数据
+  success: boolean;
+  // 有效数据；全部数据源都无效时为第一个解析成功的部分数据（如净值缺失）
+  quote?: ProviderQuote;
+  provider?: string;
+  symbol?: string;
+  errors: string[];
+}
+
+// 默认有效性判断：价格为正数
+function hasValidPrice(quote: ProviderQuote): boolean {
+  return quote.price > 0;
+}
+
+/**
+ * 依次尝试数据源和候选代码（如 6 位代码的 sh/sz 两种写法），返回第一个有效结果
+ * @param providers 按优先级排列的数据源
+ * @param symbols 候选查询代码，按顺序尝试
+ * @param options 查询选项，历史日期查询会跳过不支持历史数据的数据源
+ * @param context 请求上下文
+ * @param isValid 结果有效性判断，默认要求价格为正数
+ */
+export async function runProviderChain(
+  providers: QuoteProvider[],
+  symbols: string[],
+  options: QueryOptions,
+  context: ProviderContext,
+  isValid: (quote: ProviderQuote) => boolean = hasValidPrice
+): Promise<ProviderChainResult> {
+  const historical = isHistoricalDate(options.queryDate);
+  const errors: string[] = [];
+  let fallback: ProviderChainResult | null = null;
+
+  for (const provider of providers) {
+    for (const symbol of symbols) {
+      const market = getMarket(symbol);
+      if (!market || provider.markets.indexOf(market) === -1) continue;
+
+      if (historical && !provider.supportsHistory) {
+        errors.push(`${provider.name} 不支持 ${symbol} 的历史日期查询`);
+        continue;
+      }
+
+      try {
+        const payload = await provider.fetch(symbol, options, context);
+        const parsed = provider.parse(payload, symbol, options);
+
+        if (!parsed.success || !parsed.quote) {
+          errors.push(parsed.error || `${provider.name} 数据解析失败`);
+          continue;
+        }
+
+        if (isValid(parsed.quote)) {
+          return { success: true, quote: parsed.quote, provider: provider.name, symbol, errors };
+        }
+
+        if (!fallback) {
+          fallback = { success: false, quote: parsed.quote, provider: provider.name, symbol, errors };
+        }
+      } catch (error) {
+        errors.push(`${provider.name} 请求失败: ${String(error)}`);
+      }
+    }
+  }
+
+  return fallback || { success: false, errors };
+}
+
+export { tencentProvider, sinaProvider, eastmoneyFundProvider, pingzhongDataProvider };
+export type { ProviderContext, ProviderPayload, ProviderQuote, QuoteProvider } from './types';
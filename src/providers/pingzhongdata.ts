@@ -0,0 +1,239 @@
+import { CONFIG, PATTERNS } from '../config';
+import { QueryOptions } from '../types';
+import { isHistoricalDate, percentToRatio, shiftDate } from '../utils';
+import { validateNetValue } from './eastmoneyFund';
+import { ProviderContext, ProviderPayload, ProviderParseResult, ProviderQuote, QuoteProvider } from './types';
+
+// ==================== 天天基金净值走势数据源（pingzhongdata） ====================
+const REQUEST_HEADERS = {
+  'Referer': 'https://fund.eastmoney.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// 净值走势数据点：x 为北京时间零点的毫秒时间戳，y 为单位净值，equityReturn 为日增长率（%）
+interface NetWorthPoint {
+  x: number;
+  y: number;
+  equityReturn?: number | string;
+}
+
+// 读取 JS 变量中的 JSON 数组，如 var Data_netWorthTrend = [...];
+export function readJsArray(script: string, variable: string): any[] {
+  const match = script.match(new RegExp(`var\\s+${variable}\\s*=\\s*(\\[[\\s\\S]*?\\]);`));
+  if (!match) return [];
+
+  try {
+    const value = JSON.parse(match[1]);
+    return Array.isArray(value) ? value : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// 毫秒时间戳转换为北京时间日期 YYYY-MM-DD
+export function toBeijingDate(timestamp: number): string {
+  return new Date(timestamp + 8 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
+// 基金类型：money 为货币/理财型（净值固定为 1，按万份收益和七日年化报价），其余为 standard
+export type FundKind = 'standard' | 'money';
+
+// 单位净值数据点，日增长率为小数
+export interface FundNavPoint {
+  date: string;
+  nav: number;
+  accumulatedNav: number | null;
+  changePercent: number | null;
+}
+
+// 货币基金收益数据点：每万份收益（元），七日年化收益率为小数
+export interface MoneyFundYieldPoint {
+  date: string;
+  incomePer10k: number;
+  sevenDayYield: number;
+}
+
+// pingzhongdata 脚本中的结构化数据，数据点按日期升序排列
+export interface PingzhongFundData {
+  name: string;
+  kind: FundKind;
+  navs: FundNavPoint[];
+  yields: MoneyFundYieldPoint[];
+}
+
+// 申购/赎回状态，如 开放申购、暂停申购、限大额；未知时为 null
+export interface FundTradeStatus {
+  subscriptionStatus: string | null;
+  redemptionStatus: string | null;
+}
+
+// 读取 [[x, 数值], ...] 形式的走势数组，转换为 日期 -> 数值
+function readDatedValues(script: string, variable: string): Map<string, number> {
+  const values = new Map<string, number>();
+  for (const item of readJsArray(script, variable)) {
+    if (Array.isArray(item) && typeof item[0] === 'number' && typeof item[1] === 'number') {
+      values.set(toBeijingDate(item[0]), item[1]);
+    }
+  }
+  return values;
+}
+
+/**
+ * 解析 pingzhongdata 脚本：名称、基金类型、单位净值走势和货币基金收益走势
+ * 日期均来自数据点时间戳，不依赖页面文字；无法解析名称时返回 null
+ */
+export function parsePingzhongScript(script: string): PingzhongFundData | null {
+  const nameMatch = script.match(/var\s+fS_name\s*=\s*"([^"]*)"/);
+  const name = nameMatch ? nameMatch[1].trim() : '';
+  if (!name) return null;
+
+  const accumulated = readDatedValues(script, 'Data_ACWorthTrend');
+  const navs: FundNavPoint[] = [];
+  for (const point of readJsArray(script, 'Data_netWorthTrend') as NetWorthPoint[]) {
+    if (!point || typeof point.x !== 'number') continue;
+
+    const date = toBeijingDate(point.x);
+    if (!PATTERNS.DATE_FORMAT.test(date) || !validateNetValue(Number(point.y).toFixed(4)).isValid) continue;
+
+    const growthRate = parseFloat(String(point.equityReturn));
+    navs.push({
+      date,
+      nav: point.y,
+      accumulatedNav: accumulated.has(date) ? accumulated.get(date)! : null,
+      changePercent: isNaN(growthRate) ? null : percentToRatio(growthRate)
+    });
+  }
+
+  // 货币基金：万份收益和七日年化（%）按日期配对
+  const sevenDayYields = readDatedValues(script, 'Data_sevenDaysYearIncome');
+  const yields: MoneyFundYieldPoint[] = [];
+  readDatedValues(script, 'Data_millionCopiesIncome').forEach((incomePer10k, date) => {
+    if (sevenDayYields.has(date)) {
+      yields.push({ date, incomePer10k, sevenDayYield: percentToRatio(sevenDayYields.get(date)!)! });
+    }
+  });
+
+  const byDate = (a: { date: string }, b: { date: string }) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+  const moneyFlag = script.match(/var\s+ishb\s*=\s*(true|false)/);
+  return {
+    name,
+    kind: (moneyFlag && moneyFlag[1] === 'true') || yields.length > 0 ? 'money' : 'standard',
+    navs: navs.sort(byDate),
+    yields: yields.sort(byDate)
+  };
+}
+
+// 货币基金行情：带七日年化收益率（单位净值固定，不在行情中给出）
+export function isMoneyFundQuote(quote: ProviderQuote): boolean {
+  return typeof quote.details.sevenDayYield === 'number';
+}
+
+/**
+ * 从历史净值列表（api.fund.eastmoney.com/f10/lsjz）读取申购/赎回状态
+ * 实时查询取最新一行，历史日期取不晚于该日的最近一行
+ */
+export function parseTradeStatus(responseText: string, targetDate?: string): FundTradeStatus {
+  const status: FundTradeStatus = { subscriptionStatus: null, redemptionStatus: null };
+  try {
+    const json = JSON.parse(responseText);
+    const list = json && json.Data && Array.isArray(json.Data.LSJZList) ? json.Data.LSJZList : [];
+    let latestDate = '';
+    for (const item of list) {
+      const date = String(item.FSRQ || '').trim();
+      if (!PATTERNS.DATE_FORMAT.test(date) || (targetDate && date > targetDate) || date <= latestDate) continue;
+
+      latestDate = date;
+      status.subscriptionStatus = String(item.SGZT || '').trim() || null;
+      status.redemptionStatus = String(item.SHZT || '').trim() || null;
+    }
+  } catch (error) {
+    // 状态为附加信息，列表缺失或格式错误时保持未知
+  }
+  return status;
+}
+
+/**
+ * 净值走势解析：实时查询取最新数据点，历史日期取不晚于该日的最近数据点
+ * @param statusText 历史净值列表响应，用于申购/赎回状态，可为空
+ */
+export function parsePingzhongData(script: string, fundCode: string, targetDate?: string, statusText: string = ''): ProviderParseResult {
+  const data = parsePingzhongScript(script);
+  if (!data) {
+    return {
+      success: false,
+      error: `基金代码 ${fundCode} 无法解析基金名称`
+    };
+  }
+
+  // 货币基金按万份收益和七日年化报价，价格留空，由 queryFund 按固定净值补全
+  // 部分货币基金的净值走势也有数据点（固定为 1），同样按收益报价；没有收益数据时按净值走势报价
+  const yields = data.kind === 'money' ? data.yields.filter(point => !targetDate || point.date <= targetDate) : [];
+  if (yields.length > 0) {
+    const latest = yields[yields.length - 1];
+    return {
+      success: true,
+      quote: {
+        name: data.name,
+        price: -1,
+        date: latest.date,
+        details: {
+          changePercent: null,
+          accumulatedNav: null,
+          incomePer10k: latest.incomePer10k,
+          sevenDayYield: latest.sevenDayYield,
+          ...parseTradeStatus(statusText, targetDate)
+        }
+      }
+    };
+  }
+
+  const candidates = data.navs.filter(point => !targetDate || point.date <= targetDate);
+  const best = candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  if (!best) {
+    return {
+      success: false,
+      error: targetDate ? `基金代码 ${fundCode} 在 ${targetDate} 及之前无净值数据` : `基金代码 ${fundCode} 无净值数据`
+    };
+  }
+
+  return {
+    success: true,
+    quote: {
+      name: data.name,
+      price: best.nav,
+      date: best.date,
+      details: {
+        changePercent: best.changePercent,
+        accumulatedNav: best.accumulatedNav,
+        ...parseTradeStatus(statusText, targetDate)
+      }
+    }
+  };
+}
+
+// 天天基金结构化净值数据源：一次请求包含全部历史净值，同时支持实时和历史日期查询
+// 申购/赎回状态另从历史净值列表读取，该请求失败不影响净值
+export const pingzhongDataProvider: QuoteProvider = {
+  name: 'eastmoney-pingzhongdata',
+  assetClass: 'fund',
+  markets: ['fund'],
+  supportsHistory: true,
+
+  async fetch(fundCode: string, options: QueryOptions, context: ProviderContext): Promise<ProviderPayload> {
+    const endDate = isHistoricalDate(options.queryDate) ? options.queryDate! : '';
+    const startDate = endDate ? shiftDate(endDate, -CONFIG.HISTORY_LOOKBACK_DAYS) : '';
+    const [script, status] = await Promise.all([
+      context.fetchText(`https://fund.eastmoney.com/pingzhongdata/${fundCode}.js`, { headers: REQUEST_HEADERS }),
+      context.fetchText(
+        `https://api.fund.eastmoney.com/f10/lsjz?fundCode=${fundCode}&pageIndex=1&pageSize=${endDate ? 20 : 1}&startDate=${startDate}&endDate=${endDate}`,
+        { headers: { ...REQUEST_HEADERS, 'Referer': 'https://fundf10.eastmoney.com/' } }
+      ).catch(() => '')
+    ]);
+    return { script, status };
+  },
+
+  parse(payload: ProviderPayload, fundCode: string, options: QueryOptions): ProviderParseResult {
+    const targetDate = isHistoricalDate(options.queryDate) ? options.queryDate : undefined;
+    return parsePingzhongData(payload.script || '', fundCode, targetDate, payload.status || '');
+  }
+};
@@ -0,0 +1,165 @@
+import { CONFIG, PATTERNS } from '../config';
+import { PriceAdjustment } from '../types';
+import { getMarket } from '../utils';
+import { adjustPricePoints, parseFundActions } from './corporateActions';
+import { readJsArray, toBeijingDate } from './pingzhongdata';
+import { parseQtNumber } from './tencent';
+import { ProviderContext } from './types';
+
+// ==================== 历史价格序列（日K线 / 净值走势） ====================
+const TENCENT_HEADERS = {
+  'Referer': 'https://finance.qq.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+const EASTMONEY_HEADERS = {
+  'Referer': 'https://fund.eastmoney.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+};
+
+// 序列数据点：close 为收盘价或单位净值，其余字段按资产类别提供
+export interface SeriesPoint {
+  date: string;
+  close: number;
+  open?: number | null;
+  high?: number | null;
+  low?: number | null;
+  volume?: number | null;
+  accumulatedNav?: number | null;
+}
+
+export interface PriceSeries {
+  symbol: string;
+  name: string;
+  kind: 'kline' | 'nav';
+  points: SeriesPoint[];
+}
+
+export interface SeriesFetchResult {
+  success: boolean;
+  series?: PriceSeries;
+  error?: string;
+}
+
+// 两个 YYYY-MM-DD 日期之间的自然日数（含首尾）
+function countDays(startDate: string, endDate: string): number {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+}
+
+// 日K线序列解析：K线行格式 [日期, 开盘, 收盘, 最高, 最低, 成交量, ...]，按日期升序返回区间内的有效K线
+export function parseKlineSeries(responseText: string, symbol: string, startDate: string, endDate: string): SeriesFetchResult {
+  let json: any;
+  try {
+    json = JSON.parse(responseText);
+  } catch (error) {
+    return { success: false, error: `股票代码 ${symbol} 的K线数据解析失败` };
+  }
+
+  const symbolData = json && json.data ? json.data[symbol] : null;
+  const rows: any[] = symbolData ? (symbolData.day || symbolData.qfqday || symbolData.hfqday || []) : [];
+  const points: SeriesPoint[] = [];
+
+  for (const item of rows) {
+    if (!Array.isArray(item) || item.length < 5) continue;
+
+    const row: string[] = item.map((value: any) => String(value).trim());
+    const close = parseFloat(row[2]);
+    if (!PATTERNS.DATE_FORMAT.test(row[0]) || row[0] < startDate || row[0] > endDate) continue;
+    if (isNaN(close) || close <= 0) continue;
+
+    points.push({
+      date: row[0],
+      close,
+      open: parseQtNumber(row, 1),
+      high: parseQtNumber(row, 3),
+      low: parseQtNumber(row, 4),
+      volume: parseQtNumber(row, 5)
+    });
+  }
+
+  if (points.length === 0) {
+    return { success: false, error: `股票代码 ${symbol} 在 ${startDate} 至 ${endDate} 之间无交易数据` };
+  }
+
+  // K线响应附带的实时行情：qt[代码] 为 ~ 分隔前的字段数组，名称在第 2 项
+  const qt = symbolData && symbolData.qt ? symbolData.qt[symbol] : null;
+  const name = Array.isArray(qt) && qt[1] ? String(qt[1]).trim() : '';
+
+  points.sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+  return { success: true, series: { symbol, name, kind: 'kline', points } };
+}
+
+// 净值走势序列解析：pingzhongdata 中的单位净值和累计净值，按日期升序返回区间内的数据点
+export function parseNavSeries(script: string, fundCode: string, startDate: string, endDate: string): SeriesFetchResult {
+  const nameMatch = script.match(/var\s+fS_name\s*=\s*"([^"]*)"/);
+  const accumulated: Record<number, number> = {};
+  for (const item of readJsArray(script, 'Data_ACWorthTrend')) {
+    if (Array.isArray(item) && typeof item[1] === 'number') {
+      accumulated[item[0]] = item[1];
+    }
+  }
+
+  const points: SeriesPoint[] = [];
+  for (const point of readJsArray(script, 'Data_netWorthTrend')) {
+    if (!point || typeof point.x !== 'number' || typeof point.y !== 'number' || point.y <= 0) continue;
+
+    const date = toBeijingDate(point.x);
+    if (date < startDate || date > endDate) continue;
+
+    points.push({
+      date,
+      close: point.y,
+      accumulatedNav: accumulated[point.x] !== undefined ? accumulated[point.x] : null
+    });
+  }
+
+  if (points.length === 0) {
+    return { success: false, error: `基金代码 ${fundCode} 在 ${startDate} 至 ${endDate} 之间无净值数据` };
+  }
+
+  points.sort((a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+  return { success: true, series: { symbol: fundCode, name: nameMatch ? nameMatch[1].trim() : '', kind: 'nav', points } };
+}
+
+/**
+ * 获取区间历史序列：股票、场内基金、指数取腾讯日K线，场外基金取天天基金净值走势
+ * 区间超过 SERIES_MAX_POINTS 个自然日时只返回截至结束日期的最近部分
+ * @param adjustment 复权方式：K线由腾讯按复权参数返回，净值按走势中的分红/拆分记录换算单位净值
+ */
+export async function fetchPriceSeries(
+  symbol: string,
+  startDate: string,
+  endDate: string,
+  context: ProviderContext,
+  adjustment: PriceAdjustment = 'none'
+): Promise<SeriesFetchResult> {
+  const market = getMarket(symbol);
+
+  if (market === 'fund') {
+    const script = await context.fetchText(`https://fund.eastmoney.com/pingzhongdata/${symbol}.js`, { headers: EASTMONEY_HEADERS });
+    if (adjustment === 'none') {
+      return parseNavSeries(script, symbol, startDate, endDate);
+    }
+
+    // 复权因子取决于除权日前的净值，前复权还需要区间之后的记录，先对完整序列复权再截取区间
+    const full = parseNavSeries(script, symbol, '0000-01-01', '9999-12-31');
+    if (!full.success || !full.series) return full;
+    const points = adjustPricePoints(full.series.points, parseFundActions(script), adjustment)
+      .filter(point => point.date >= startDate && point.date <= endDate);
+    if (points.length === 0) {
+      return { success: false, error: `基金代码 ${symbol} 在 ${startDate} 至 ${endDate} 之间无净值数据` };
+    }
+    return { success: true, series: { ...full.series, points } };
+  }
+
+  if (!market || market === 'nf') {
+    return { success: false, error: `${symbol} 暂不支持历史序列查询` };
+  }
+
+  const count = Math.min(countDays(startDate, endDate), CONFIG.SERIES_MAX_POINTS);
+  const text = await context.fetchText(
+    `https://web.ifzq.gtimg.cn/appstock/app/fqkline/get?param=${symbol},day,${startDate},${endDate},${count},${adjustment === 'none' ? '' : adjustment}`,
+    { headers: TENCENT_HEADERS }
+  );
+  return parseKlineSeries(text, symbol, startDate, endDate);
+}
@@ -0,0 +1,132 @@
+import { QueryOptions } from '../types';
+import { getLastTradingDate } from '../calendar';
+import { percentToRatio } from '../utils';
+import { isValidStockName, StockQuoteDetails } from './tencent';
+import { ProviderContext, ProviderPayload, ProviderParseResult, QuoteProvider } from './types';
+
+// ==================== 新浪行情数据源（hq.sinajs.cn） ====================
+const REQUEST_HEADERS = {
+  'Referer': 'https://finance.sina.com.cn/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// 新浪行情字段索引（逗号分隔），-1 表示该市场不提供
+// A股：名称,开盘,昨收,现价,最高,最低,买一,卖一,成交量(股),成交额(元),五档盘口...,日期,时间
+// 港股：英文名,中文名,开盘,昨收,最高,最低,现价,涨跌额,涨跌幅,买一,卖一,成交额(港元),成交量(股),...,日期
+// 美股：名称,现价,涨跌幅,更新时间,涨跌额,开盘,最高,最低,52周高,52周低,成交量,均量,总市值(美元),...,昨收
+// 期货：名称,时间,开盘,最高,最低,昨收,买一,卖一,最新价,结算价,昨结算,买量,卖量,持仓量,成交量(手),交易所,品种,日期
+// 期货涨跌以昨结算为基准，昨收字段取昨结算
+const SINA_FIELDS = {
+  a: { NAME: 0, OPEN: 1, PREV_CLOSE: 2, PRICE: 3, HIGH: 4, LOW: 5, CHANGE: -1, CHANGE_PERCENT: -1, VOLUME: 8, AMOUNT: 9, MARKET_CAP: -1, DATE: 30 },
+  hk: { NAME: 1, OPEN: 2, PREV_CLOSE: 3, PRICE: 6, HIGH: 4, LOW: 5, CHANGE: 7, CHANGE_PERCENT: 8, VOLUME: 12, AMOUNT: 11, MARKET_CAP: -1, DATE: 17 },
+  us: { NAME: 0, OPEN: 5, PREV_CLOSE: 26, PRICE: 1, HIGH: 6, LOW: 7, CHANGE: 4, CHANGE_PERCENT: 2, VOLUME: 10, AMOUNT: -1, MARKET_CAP: 12, DATE: 3 },
+  nf: { NAME: 0, OPEN: 2, PREV_CLOSE: 10, PRICE: 8, HIGH: 3, LOW: 4, CHANGE: -1, CHANGE_PERCENT: -1, VOLUME: 14, AMOUNT: -1, MARKET_CAP: -1, DATE: 17 },
+};
+
+// 新浪代码转换：沪深北/港股沿用前缀，美股为 gb_ 加小写代码（指数 us.DJI 为 gb_$dji），期货为 nf_ 加大写合约
+export function toSinaSymbol(symbol: string): string {
+  const lower = symbol.toLowerCase();
+  if (lower.startsWith('us')) {
+    return `gb_${lower.substring(2).replace(/^\./, '$')}`;
+  }
+  if (lower.startsWith('nf')) {
+    return `nf_${symbol.substring(2).replace(/^_/, '').toUpperCase()}`;
+  }
+  if (lower.startsWith('hk') && !/^hk\d+$/.test(lower)) {
+    return `hk${symbol.substring(2).toUpperCase()}`;
+  }
+  return lower;
+}
+
+// 读取数值字段，缺失或非数字时返回 null
+function readNumber(values: string[], index: number): number | null {
+  if (index < 0 || values.length <= index) return null;
+
+  const value = parseFloat(values[index]);
+  return isNaN(value) ? null : value;
+}
+
+// 按比例换算单位（如 股→手、元→万元），保留 null
+function scale(value: number | null, divisor: number): number | null {
+  return value === null ? null : parseFloat((value / divisor).toFixed(4));
+}
+
+// 新浪行情解析：var hq_str_sh600519="贵州茅台,1700.00,...";
+export function parseSinaQuote(responseText: string, symbol: string): ProviderParseResult {
+  const quoteStart = responseText.indexOf('"');
+  const quoteEnd = responseText.lastIndexOf('"');
+  const content = quoteStart !== -1 && quoteEnd > quoteStart ? responseText.substring(quoteStart + 1, quoteEnd).trim() : '';
+
+  if (!content) {
+    return {
+      success: false,
+      error: `股票代码 ${symbol} 无法找到匹配数据，请检查代码格式`
+    };
+  }
+
+  const values = content.split(',');
+  const market = symbol.toLowerCase().substring(0, 2);
+  const marketKey = market === 'hk' || market === 'us' || market === 'nf' ? market : 'a';
+  const fields = SINA_FIELDS[marketKey];
+
+  const name = (values[fields.NAME] || '').trim();
+  if (!isValidStockName(name)) {
+    return {
+      success: false,
+      error: '股票名称为空或无效'
+    };
+  }
+
+  const price = readNumber(values, fields.PRICE) || 0;
+  const prevClose = readNumber(values, fields.PREV_CLOSE);
+  const dateMatch = (values[fields.DATE] || '').trim().match(/^(\d{4})[-\/](\d{2})[-\/](\d{2})/);
+
+  let change = readNumber(values, fields.CHANGE);
+  let changePercent = readNumber(values, fields.CHANGE_PERCENT);
+  if (change === null && prevClose && price > 0) {
+    change = parseFloat((price - prevClose).toFixed(4));
+    changePercent = parseFloat(((price - prevClose) / prevClose * 100).toFixed(4));
+  }
+
+  // 统一为与腾讯行情一致的单位：沪深北成交量为手，成交额为万元，总市值为亿元
+  const volume = readNumber(values, fields.VOLUME);
+  const details: StockQuoteDetails = {
+    prevClose,
+    open: readNumber(values, fields.OPEN),
+    high: readNumber(values, fields.HIGH),
+    low: readNumber(values, fields.LOW),
+    change,
+    changePercent: percentToRatio(changePercent),
+    volume: marketKey === 'a' ? scale(volume, 100) : volume,
+    amount: scale(readNumber(values, fields.AMOUNT), 10000),
+    marketCap: scale(readNumber(values, fields.MARKET_CAP), 100000000)
+  };
+
+  return {
+    success: true,
+    quote: {
+      name,
+      price,
+      date: dateMatch ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` : getLastTradingDate(symbol),
+      details
+    }
+  };
+}
+
+// 新浪行情数据源：仅提供实时行情，不支持历史日期；国内期货仅由该数据源提供
+export const sinaProvider: QuoteProvider = {
+  name: 'sina',
+  assetClass: 'stock',
+  markets: ['sh', 'sz', 'bj', 'hk', 'us', 'nf'],
+  supportsHistory: false,
+
+  async fetch(symbol: string, options: QueryOptions, context: ProviderContext): Promise<ProviderPayload> {
+    return {
+      quote: await context.fetchText(`https://hq.sinajs.cn/list=${toSinaSymbol(symbol)}`, { headers: REQUEST_HEADERS }, 'gbk')
+    };
+  },
+
+  parse(payload: ProviderPayload, symbol: string): ProviderParseResult {
+    return parseSinaQuote(payload.quote || '', symbol);
+  }
+};
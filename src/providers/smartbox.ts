@@ -0,0 +1,73 @@
+import { ProviderContext } from './types';
+
+// ==================== 腾讯证券搜索（smartbox.gtimg.cn） ====================
+const REQUEST_HEADERS = {
+  'Referer': 'https://gu.qq.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// 搜索候选：symbol 为插件统一格式的查询代码（场外基金为 6 位数字）
+export interface SymbolSuggestion {
+  symbol: string;
+  name: string;
+  pinyin: string;
+  type: string;
+}
+
+// 按名称、代码或拼音首字母搜索证券
+export async function fetchSymbolSuggestions(keyword: string, context: ProviderContext): Promise<string> {
+  return await context.fetchText(
+    `https://smartbox.gtimg.cn/s3/?v=2&t=all&q=${encodeURIComponent(keyword)}`,
+    { headers: REQUEST_HEADERS }
+  );
+}
+
+// 还原 \uXXXX 转义的中文名称
+function unescapeUnicode(text: string): string {
+  return text.replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// 搜索结果中的市场与代码转换为插件统一格式，不支持的市场返回空字符串
+// 美股代码带交易所后缀（aapl.oq），指数以点开头（.dji）
+function toCanonicalSymbol(market: string, code: string): string {
+  switch (market) {
+    case 'sh':
+    case 'sz':
+    case 'bj':
+      return /^\d{6}$/.test(code) ? `${market}${code}` : '';
+    case 'hk':
+      return /^\d{5}$/.test(code) ? `hk${code}` : `hk${code.toUpperCase()}`;
+    case 'us':
+      return code.startsWith('.') ? `us${code.toUpperCase()}` : `us${code.replace(/\.[a-z]+$/i, '').toUpperCase()}`;
+    case 'jj':
+      return /^\d{6}$/.test(code) ? code : '';
+    default:
+      return '';
+  }
+}
+
+// 搜索结果解析：v_hint="sh~600519~贵州茅台~gzmt~GP-A^hk~00700~...";
+export function parseSymbolSuggestions(responseText: string): SymbolSuggestion[] {
+  const quoteStart = responseText.indexOf('"');
+  const quoteEnd = responseText.lastIndexOf('"');
+  if (quoteStart === -1 || quoteEnd <= quoteStart) return [];
+
+  const content = responseText.substring(quoteStart + 1, quoteEnd).trim();
+  if (!content || content === 'N') return [];
+
+  const suggestions: SymbolSuggestion[] = [];
+  for (const item of content.split('^')) {
+    const [market = '', code = '', name = '', pinyin = '', type = ''] = item.split('~');
+    const symbol = toCanonicalSymbol(market.trim().toLowerCase(), code.trim());
+    if (!symbol) continue;
+
+    suggestions.push({
+      symbol,
+      name: unescapeUnicode(name).trim(),
+      pinyin: pinyin.trim().toLowerCase(),
+      type: type.trim()
+    });
+  }
+
+  return suggestions;
+}
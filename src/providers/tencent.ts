@@ -0,0 +1,518 @@
+import { CONFIG, PATTERNS } from '../config';
+import { QueryOptions } from '../types';
+import { getLastTradingDate } from '../calendar';
+import { isHistoricalDate, percentToRatio, shiftDate } from '../utils';
+import { HistoricalPriceData, ProviderContext, ProviderPayload, ProviderParseResult, ProviderQuote, QuoteProvider } from './types';
+
+// ==================== 腾讯行情数据源（qt.gtimg.cn） ====================
+const REQUEST_HEADERS = {
+  'Referer': 'https://finance.qq.com/',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// qt.gtimg.cn 完整行情字段索引（~ 分隔，参见 qt.gtimg.cn说明.md）
+// 成交量单位为手（港美股为股），成交额单位为万元，总市值/流通市值单位为亿元，换手率和振幅为百分数
+// 38 起的估值字段为A股格式，港美股同一位置含义不同
+export const QT_FIELDS = {
+  NAME: 1,
+  CODE: 2,
+  PRICE: 3,
+  PREV_CLOSE: 4,
+  OPEN: 5,
+  VOLUME: 6,
+  TRADE_TIME: 30,
+  CHANGE: 31,
+  CHANGE_PERCENT: 32,
+  HIGH: 33,
+  LOW: 34,
+  AMOUNT: 37,
+  TURNOVER_RATE: 38,
+  PE_RATIO: 39,
+  AMPLITUDE: 43,
+  FLOAT_MARKET_CAP: 44,
+  TOTAL_MARKET_CAP: 45,
+  PB_RATIO: 46,
+  LIMIT_UP: 47,
+  LIMIT_DOWN: 48,
+};
+
+// qt.gtimg.cn 简要行情（s_ 前缀）字段索引，-1 表示该格式不提供
+export const QT_SHORT_FIELDS: typeof QT_FIELDS = {
+  NAME: 1,
+  CODE: 2,
+  PRICE: 3,
+  PREV_CLOSE: -1,
+  OPEN: -1,
+  VOLUME: 6,
+  TRADE_TIME: -1,
+  CHANGE: 4,
+  CHANGE_PERCENT: 5,
+  HIGH: -1,
+  LOW: -1,
+  AMOUNT: 7,
+  TURNOVER_RATE: -1,
+  PE_RATIO: -1,
+  AMPLITUDE: -1,
+  FLOAT_MARKET_CAP: -1,
+  TOTAL_MARKET_CAP: 9,
+  PB_RATIO: -1,
+  LIMIT_UP: -1,
+  LIMIT_DOWN: -1,
+};
+
+// 统一的名称验证函数
+export function isValidStockName(name: string): boolean {
+  if (!name || name.length === 0) return false;
+  if (PATTERNS.PURE_NUMBER.test(name)) return false;
+  if (name.includes('%')) return false;
+  if (PATTERNS.DATE_FORMAT.test(name)) return false;
+  if (name.endsWith('OQ') || name.endsWith('oq')) return false;
+  
+  return true;
+}
+
+// 股票交易日期获取
+// 字段30格式因市场而异：A股 20240102150003，港股 2024/01/02 16:08:08，美股 2024-01-02 16:00:01
+// 字段缺失（如简要行情）时使用 fallbackDate，应为该市场最近一个交易日
+export function getActualTradeDate(dataArr: string[], fallbackDate: string): string {
+  const timeStr = dataArr.length > QT_FIELDS.TRADE_TIME && dataArr[QT_FIELDS.TRADE_TIME] ? dataArr[QT_FIELDS.TRADE_TIME].trim() : '';
+  const dateMatch = timeStr.match(/^(\d{4})[-\/]?(\d{2})[-\/]?(\d{2})/);
+  if (dateMatch) {
+    return `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+  }
+  
+  return fallbackDate;
+}
+
+// 股票名称提取 - 优化版本
+export function extractStockNameFromQtData(dataArr: string[]): string {
+  if (dataArr.length < 2) return '';
+  
+  const stockName = dataArr[1] && dataArr[1].trim();
+  
+  if (stockName && stockName.length > 0) {
+    let cleanedName = stockName;
+    if (cleanedName.endsWith('OQ') || cleanedName.endsWith('oq')) {
+      cleanedName = cleanedName.slice(0, -2).trim();
+    }
+    
+    if (isValidStockName(cleanedName)) {
+      return cleanedName;
+    }
+  }
+  
+  return '';
+}
+
+// 价格提取 - 优化版本
+export function extractPriceFromQtData(dataArr: string[]): number {
+  if (dataArr.length < 4) return 0;
+  
+  const priceStr = dataArr[3] && dataArr[3].trim();
+  
+  if (priceStr) {
+    const price = parseFloat(priceStr);
+    if (!isNaN(price) && price > 0) {
+      return price;
+    }
+  }
+  
+  return 0;
+}
+
+// 行情扩展字段：昨收、涨跌、成交及市值
+export type StockQuoteDetails = {
+  prevClose: number | null;
+  open: number | null;
+  high: number | null;
+  low: number | null;
+  change: number | null;
+  changePercent: number | null;
+  volume: number | null;
+  amount: number | null;
+  marketCap: number | null;
+};
+
+// 读取数值字段，缺失或非数字时返回 null
+export function parseQtNumber(dataArr: string[], index: number): number | null {
+  if (index < 0 || dataArr.length <= index) return null;
+
+  const value = parseFloat(dataArr[index]);
+  return isNaN(value) ? null : value;
+}
+
+// 行情扩展字段提取：s_ 简要行情没有开盘/最高/最低/昨收，对应字段返回 null
+export function extractQuoteDetailsFromQtData(dataArr: string[], isShort: boolean): StockQuoteDetails {
+  const fields = isShort ? QT_SHORT_FIELDS : QT_FIELDS;
+
+  return {
+    prevClose: parseQtNumber(dataArr, fields.PREV_CLOSE),
+    open: parseQtNumber(dataArr, fields.OPEN),
+    high: parseQtNumber(dataArr, fields.HIGH),
+    low: parseQtNumber(dataArr, fields.LOW),
+    change: parseQtNumber(dataArr, fields.CHANGE),
+    changePercent: percentToRatio(parseQtNumber(dataArr, fields.CHANGE_PERCENT)),
+    volume: parseQtNumber(dataArr, fields.VOLUME),
+    amount: parseQtNumber(dataArr, fields.AMOUNT),
+    marketCap: parseQtNumber(dataArr, fields.TOTAL_MARKET_CAP)
+  };
+}
+
+// 基本面字段：市盈率、市净率、换手率、振幅、流通市值（亿元）及涨跌停价
+// 股本、行业不在腾讯行情中，由东方财富个股接口提供（providers/eastmoneyStock.ts）
+export type StockFundamentals = {
+  peRatio: number | null;
+  pbRatio: number | null;
+  turnoverRate: number | null;
+  amplitude: number | null;
+  floatMarketCap: number | null;
+  limitUp: number | null;
+  limitDown: number | null;
+};
+
+// 基本面字段提取：仅完整行情提供；亏损股市盈率为负数时按原值返回
+export function extractFundamentalsFromQtData(dataArr: string[]): StockFundamentals {
+  return {
+    peRatio: parseQtNumber(dataArr, QT_FIELDS.PE_RATIO),
+    pbRatio: parseQtNumber(dataArr, QT_FIELDS.PB_RATIO),
+    turnoverRate: percentToRatio(parseQtNumber(dataArr, QT_FIELDS.TURNOVER_RATE)),
+    amplitude: percentToRatio(parseQtNumber(dataArr, QT_FIELDS.AMPLITUDE)),
+    floatMarketCap: parseQtNumber(dataArr, QT_FIELDS.FLOAT_MARKET_CAP),
+    limitUp: parseQtNumber(dataArr, QT_FIELDS.LIMIT_UP),
+    limitDown: parseQtNumber(dataArr, QT_FIELDS.LIMIT_DOWN)
+  };
+}
+
+// 股票数据解析 - 优化版本，同时支持完整行情（v_sz000858）和简要行情（v_s_sz000858）
+export function parseStockDataFromQtGtimg(responseText: string): {
+  name: string;
+  price: number;
+  success: boolean;
+  error?: string;
+  fields?: string[];
+  isShort?: boolean;
+} {
+  try {
+    // 使用 indexOf 查找变量定义的位置
+    const varStart = responseText.indexOf('v_');
+    if (varStart === -1) {
+      return {
+        name: '',
+        price: 0,
+        success: false,
+        error: '数据格式不匹配'
+      };
+    }
+    const isShort = responseText.startsWith('v_s_', varStart);
+
+    // 查找等号和引号的位置
+    const equalIndex = responseText.indexOf('=', varStart);
+    const quoteStart = responseText.indexOf('"', equalIndex);
+    const quoteEnd = responseText.indexOf('"', quoteStart + 1);
+    
+    if (equalIndex === -1 || quoteStart === -1 || quoteEnd === -1) {
+      return {
+        name: '',
+        price: 0,
+        success: false,
+        error: '数据格式不匹配'
+      };
+    }
+
+    const dataString = responseText.substring(quoteStart + 1, quoteEnd);
+    const dataArr = dataString.split('~');
+    
+    if (dataArr.length < 4) {
+      return {
+        name: '',
+        price: 0,
+        success: false,
+        error: `数据字段不足，仅有${dataArr.length}个字段`
+      };
+    }
+
+    const stockName = extractStockNameFromQtData(dataArr);
+    const price = extractPriceFromQtData(dataArr);
+    
+    if (!stockName) {
+      return {
+        name: '',
+        price: price,
+        success: false,
+        error: '股票名称为空或无效'
+      };
+    }
+
+    return {
+      name: stockName,
+      price: price,
+      success: true,
+      fields: dataArr,
+      isShort
+    };
+
+  } catch (error) {
+    return {
+      name: '',
+      price: 0,
+      success: false,
+      error: `解析异常: ${String(error)}`
+    };
+  }
+}
+
+// ==================== 腾讯行情盘口 ====================
+// 完整行情盘口字段索引（仅A股格式，字段说明见 qt.gtimg.cn说明.md）
+// 9-18 为买一至买五，19-28 为卖一至卖五，每档依次为价格、数量（手）；无挂单的档位价格为 0 或空
+// 29 为最近逐笔成交，| 分隔，每笔为 时间/价格/数量(手)/方向(B买 S卖 M中性)/金额(元)/序号，最新一笔在前
+export const QT_DEPTH_FIELDS = {
+  BID_START: 9,
+  ASK_START: 19,
+  LEVELS: 5,
+  RECENT_TRADES: 29,
+};
+
+// 盘口单档：价格和挂单数量（手）
+export type OrderBookLevel = {
+  price: number;
+  volume: number;
+};
+
+// 盘口深度：买卖盘按档位顺序排列（买一/卖一在前），无挂单的档位不列出
+export type StockDepth = {
+  bids: OrderBookLevel[];
+  asks: OrderBookLevel[];
+  bestBid: number | null;
+  bestAsk: number | null;
+  spread: number | null;
+  latestTradeTime: string | null;
+};
+
+// 读取从 start 开始的五档价格/数量
+function readOrderBookLevels(dataArr: string[], start: number): OrderBookLevel[] {
+  const levels: OrderBookLevel[] = [];
+  for (let i = 0; i < QT_DEPTH_FIELDS.LEVELS; i++) {
+    const price = parseQtNumber(dataArr, start + i * 2);
+    const volume = parseQtNumber(dataArr, start + i * 2 + 1);
+    if (price !== null && price > 0 && volume !== null) {
+      levels.push({ price, volume });
+    }
+  }
+  return levels;
+}
+
+// 最新成交时间：逐笔成交第一笔的时间加上字段30的日期；没有逐笔成交时取字段30的行情时间
+function readLatestTradeTime(dataArr: string[]): string | null {
+  const stamp = (dataArr[QT_FIELDS.TRADE_TIME] || '').trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!stamp) return null;
+
+  const date = `${stamp[1]}-${stamp[2]}-${stamp[3]}`;
+  const latestTrade = (dataArr[QT_DEPTH_FIELDS.RECENT_TRADES] || '').split('|')[0].split('/')[0].trim();
+  return /^\d{2}:\d{2}:\d{2}$/.test(latestTrade)
+    ? `${date} ${latestTrade}`
+    : `${date} ${stamp[4]}:${stamp[5]}:${stamp[6]}`;
+}
+
+// 盘口深度提取：仅完整行情提供；买一或卖一缺失（如涨跌停、集合竞价前）时价差为 null
+export function extractDepthFromQtData(dataArr: string[]): StockDepth {
+  const bids = readOrderBookLevels(dataArr, QT_DEPTH_FIELDS.BID_START);
+  const asks = readOrderBookLevels(dataArr, QT_DEPTH_FIELDS.ASK_START);
+  const bestBid = bids.length > 0 ? bids[0].price : null;
+  const bestAsk = asks.length > 0 ? asks[0].price : null;
+
+  return {
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    spread: bestBid !== null && bestAsk !== null ? parseFloat((bestAsk - bestBid).toFixed(4)) : null,
+    latestTradeTime: readLatestTradeTime(dataArr)
+  };
+}
+
+// 股票日K线解析：取不晚于目标日期的最近一个交易日收盘价，昨收取前一根K线的收盘价
+// K线行格式：[日期, 开盘, 收盘, 最高, 最低, 成交量, ...]
+export function parseStockKline(responseText: string, symbol: string, targetDate: string): HistoricalPriceData<StockQuoteDetails> | null {
+  try {
+    const json = JSON.parse(responseText);
+    const symbolData = json && json.data ? json.data[symbol] : null;
+    const rows: any[] = symbolData ? (symbolData.day || symbolData.qfqday || []) : [];
+
+    let bestIndex = -1;
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      if (!Array.isArray(row) || row.length < 3) continue;
+
+      const date = String(row[0]).trim();
+      if (!PATTERNS.DATE_FORMAT.test(date) || date > targetDate) continue;
+
+      const close = parseFloat(row[2]);
+      if (isNaN(close) || close <= 0) continue;
+
+      if (bestIndex === -1 || date > String(rows[bestIndex][0]).trim()) {
+        bestIndex = i;
+      }
+    }
+
+    if (bestIndex === -1) return null;
+
+    const row: string[] = rows[bestIndex].map((value: any) => String(value));
+    const close = parseFloat(row[2]);
+    const previousRow = bestIndex > 0 && Array.isArray(rows[bestIndex - 1]) ? rows[bestIndex - 1] : null;
+    const prevClose = previousRow ? parseFloat(previousRow[2]) : NaN;
+    const hasPrevClose = !isNaN(prevClose) && prevClose > 0;
+
+    return {
+      date: row[0].trim(),
+      price: close,
+      details: {
+        prevClose: hasPrevClose ? prevClose : null,
+        open: parseQtNumber(row, 1),
+        high: parseQtNumber(row, 3),
+        low: parseQtNumber(row, 4),
+        change: hasPrevClose ? parseFloat((close - prevClose).toFixed(4)) : null,
+        changePercent: hasPrevClose ? parseFloat(((close - prevClose) / prevClose).toFixed(6)) : null,
+        volume: parseQtNumber(row, 5),
+        amount: null,
+        marketCap: null
+      }
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// 腾讯行情数据源：实时行情取完整行情字符串，历史日期额外获取日K线
+export const tencentProvider: QuoteProvider = {
+  name: 'tencent',
+  assetClass: 'stock',
+  markets: ['sh', 'sz', 'bj', 'hk', 'us'],
+  supportsHistory: true,
+
+  async fetch(symbol: string, options: QueryOptions, context: ProviderContext): Promise<ProviderPayload> {
+    const payload: ProviderPayload = {
+      quote: await context.fetchText(`https://qt.gtimg.cn/q=${symbol}`, { headers: REQUEST_HEADERS }, 'gbk')
+    };
+
+    if (isHistoricalDate(options.queryDate) && !payload.quote.includes('pv_none_match')) {
+      const startDate = shiftDate(options.queryDate!, -CONFIG.HISTORY_LOOKBACK_DAYS);
+      payload.kline = await context.fetchText(
+        `https://web.ifzq.gtimg.cn/appstock/app/fqkline/get?param=${symbol},day,${startDate},${options.queryDate},${CONFIG.HISTORY_LOOKBACK_DAYS},`,
+        { headers: REQUEST_HEADERS }
+      );
+    }
+
+    return payload;
+  },
+
+  parse(payload: ProviderPayload, symbol: string, options: QueryOptions): ProviderParseResult {
+    const text = payload.quote || '';
+
+    if (text.includes('pv_none_match')) {
+      return {
+        success: false,
+        error: `股票代码 ${symbol} 无法找到匹配数据，请检查代码格式`
+      };
+    }
+
+    const parseResult = parseStockDataFromQtGtimg(text);
+    if (!parseResult.success) {
+      return {
+        success: false,
+        error: parseResult.error || '股票数据解析失败'
+      };
+    }
+
+    const dataArr = parseResult.fields || [];
+    let price = parseResult.price;
+    let actualTradeDate = getActualTradeDate(dataArr, getLastTradingDate(symbol));
+    let details: StockQuoteDetails = extractQuoteDetailsFromQtData(dataArr, !!parseResult.isShort);
+
+    // 历史日期：取该日（或之前最近一个交易日）的收盘价
+    if (isHistoricalDate(options.queryDate)) {
+      const history = parseStockKline(payload.kline || '', symbol, options.queryDate!);
+
+      if (!history) {
+        return {
+          success: false,
+          error: `股票代码 ${symbol} 在 ${options.queryDate} 及之前${CONFIG.HISTORY_LOOKBACK_DAYS}天内无交易数据`
+        };
+      }
+
+      price = history.price;
+      actualTradeDate = history.date;
+      details = history.details;
+    }
+
+    return {
+      success: true,
+      quote: {
+        name: parseResult.name,
+        price,
+        date: actualTradeDate,
+        details
+      }
+    };
+  }
+};
+
+// ==================== 腾讯行情批量查询 ====================
+// 多个代码合并为一次请求：简要行情 q=s_sh600519,s_hk00700,...，完整行情 q=sh600519,hk00700,...
+export async function fetchTencentQuotes(symbols: string[], context: ProviderContext, short: boolean = true): Promise<string> {
+  const query = symbols.map(symbol => short ? `s_${symbol}` : symbol).join(',');
+  return await context.fetchText(`https://qt.gtimg.cn/q=${query}`, { headers: REQUEST_HEADERS }, 'gbk');
+}
+
+// 批量行情解析：每行一个 v_s_代码="..."; 或 v_代码="..."; 按代码返回解析成功的行情，未匹配的代码不出现在结果中
+export function parseTencentQuotes(responseText: string): Record<string, ProviderQuote> {
+  const quotes: Record<string, ProviderQuote> = {};
+
+  for (const line of responseText.split(';')) {
+    const match = line.match(/v_(?:s_)?([A-Za-z0-9._\-]+)=/);
+    if (!match || match[1] === 'pv_none_match') continue;
+
+    const parseResult = parseStockDataFromQtGtimg(line.trim());
+    if (!parseResult.success) continue;
+
+    const dataArr = parseResult.fields || [];
+    quotes[match[1]] = {
+      name: parseResult.name,
+      price: parseResult.price,
+      date: getActualTradeDate(dataArr, getLastTradingDate(match[1])),
+      details: extractQuoteDetailsFromQtData(dataArr, !!parseResult.isShort)
+    };
+  }
+
+  return quotes;
+}
+
+// ==================== 腾讯行情基本面与盘口 ====================
+// 基本面和盘口字段仅按A股格式解析
+const FUNDAMENTALS_MARKETS = ['sh', 'sz', 'bj'];
+
+// 请求A股完整行情并返回字段数组；与实时行情使用同一请求，可命中请求缓存。不支持的代码或解析失败返回 null
+async function fetchAShareQtFields(symbol: string, context: ProviderContext): Promise<string[] | null> {
+  if (FUNDAMENTALS_MARKETS.indexOf(symbol.substring(0, 2).toLowerCase()) === -1) {
+    return null;
+  }
+
+  const text = await context.fetchText(`https://qt.gtimg.cn/q=${symbol}`, { headers: REQUEST_HEADERS }, 'gbk');
+  const parseResult = parseStockDataFromQtGtimg(text);
+  if (!parseResult.success || parseResult.isShort) {
+    return null;
+  }
+
+  return parseResult.fields || [];
+}
+
+// 请求完整行情并提取基本面字段，不支持的代码返回 null
+export async function fetchTencentFundamentals(symbol: string, context: ProviderContext): Promise<StockFundamentals | null> {
+  const fields = await fetchAShareQtFields(symbol, context);
+  return fields ? extractFundamentalsFromQtData(fields) : null;
+}
+
+// 请求完整行情并提取五档盘口，不支持的代码返回 null
+export async function fetchTencentDepth(symbol: string, context: ProviderContext): Promise<StockDepth | null> {
+  const fields = await fetchAShareQtFields(symbol, context);
+  return fields ? extractDepthFromQtData(fields) : null;
+}
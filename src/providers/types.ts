@@ -0,0 +1,41 @@
+import { AssetClass, Market, QueryOptions } from '../types';
+
+// ==================== 数据源类型定义 ====================
+// 数据源请求上下文：由调用方注入带重试、并发控制和去重缓存的请求函数，测试时可替换为读取录制的响应
+export interface ProviderContext {
+  fetchText(url: string, options?: RequestInit, encoding?: string): Promise<string>;
+}
+
+// 数据源原始响应：一次查询可能需要多个请求（如实时行情 + 历史K线），按名称保存
+export type ProviderPayload = Record<string, string>;
+
+// 数据源统一输出的行情数据，details 中的扩展字段直接合并进查询结果
+export interface ProviderQuote {
+  name: string;
+  price: number;
+  date: string;
+  details: Record<string, number | string | null>;
+}
+
+// 历史价格数据：实际采用的交易日、当日收盘价/单位净值及可还原的扩展字段
+export interface HistoricalPriceData<T> {
+  date: string;
+  price: number;
+  details: T;
+}
+
+export interface ProviderParseResult {
+  success: boolean;
+  quote?: ProviderQuote;
+  error?: string;
+}
+
+export interface QuoteProvider {
+  name: string;
+  assetClass: AssetClass;
+  markets: Market[];
+  // 是否支持按历史日期查询收盘价/净值
+  supportsHistory: boolean;
+  fetch(symbol: string, options: QueryOptions, context: ProviderContext): Promise<ProviderPayload>;
+  parse(payload: ProviderPayload, symbol: string, options: QueryOptions): ProviderParseResult;
+}
@@ -0,0 +1,89 @@
+import { PATTERNS } from './config';
+import { OFFLINE_SYMBOL_INDEX } from './data/symbolIndex';
+import { fetchSymbolSuggestions, parseSymbolSuggestions, SymbolSuggestion } from './providers/smartbox';
+import { ProviderContext } from './providers/types';
+import { AssetType } from './types';
+
+// ==================== 代码解析（名称 / 拼音 / 6位代码 → 查询代码） ====================
+export interface SymbolResolution {
+  success: boolean;
+  symbol?: string;
+  name?: string;
+  // 匹配来源：在线搜索接口或离线索引
+  source?: 'suggest' | 'offline';
+  assetType?: AssetType;
+  // 号段重叠的6位代码：首选查询没有有效价格时改查的代码
+  fallback?: { symbol: string; assetType: AssetType };
+  message?: string;
+}
+
+// 离线索引搜索：代码、名称或拼音首字母完全匹配优先，其次名称包含、拼音前缀匹配
+export function searchOfflineIndex(keyword: string): SymbolSuggestion[] {
+  const lower = keyword.trim().toLowerCase();
+  if (!lower) return [];
+
+  const exact: SymbolSuggestion[] = [];
+  const partial: SymbolSuggestion[] = [];
+  for (const [symbol, name, pinyin] of OFFLINE_SYMBOL_INDEX) {
+    const suggestion = { symbol, name, pinyin, type: '' };
+    const code = symbol.replace(/^(sh|sz|bj|hk|us)/i, '').toLowerCase();
+
+    if (name.toLowerCase() === lower || pinyin === lower || code === lower || symbol.toLowerCase() === lower) {
+      exact.push(suggestion);
+    } else if (name.toLowerCase().includes(lower) || pinyin.startsWith(lower)) {
+      partial.push(suggestion);
+    }
+  }
+
+  return exact.concat(partial);
+}
+
+/**
+ * 从候选中选出最匹配的一项
+ * 6位代码：只接受代码一致的候选，不带交易所前缀的候选（场外基金）排在前面；
+ * 字段查询中的6位代码由 resolveBareCode 按号段解析（含基金/深市股票备选），不经过这里
+ * 名称/拼音：完全匹配优先，否则取搜索结果的第一项
+ */
+export function pickSuggestion(keyword: string, suggestions: SymbolSuggestion[]): SymbolSuggestion | null {
+  const lower = keyword.trim().toLowerCase();
+
+  if (PATTERNS.FUND_CODE.test(lower)) {
+    const sameCode = suggestions.filter(item => item.symbol.endsWith(lower));
+    return sameCode.find(item => item.symbol === lower) || sameCode[0] || null;
+  }
+
+  const exact = suggestions.find(item => item.name.toLowerCase() === lower || item.pinyin === lower);
+  return exact || suggestions[0] || null;
+}
+
+// 解析用户输入：优先在线搜索，接口失败或无结果时使用离线索引
+export async function resolveSymbol(keyword: string, context: ProviderContext): Promise<SymbolResolution> {
+  const trimmed = keyword.trim();
+  let match: SymbolSuggestion | null = null;
+  let source: SymbolResolution['source'] = 'suggest';
+
+  try {
+    match = pickSuggestion(trimmed, parseSymbolSuggestions(await fetchSymbolSuggestions(trimmed, context)));
+  } catch (error) {
+    match = null;
+  }
+
+  if (!match) {
+    match = pickSuggestion(trimmed, searchOfflineIndex(trimmed));
+    source = 'offline';
+  }
+
+  if (!match) {
+    return {
+      success: false,
+      message: `未找到与“${trimmed}”匹配的证券或基金`
+    };
+  }
+
+  return {
+    success: true,
+    symbol: match.symbol,
+    name: match.name,
+    source
+  };
+}
@@ -0,0 +1,63 @@
+import { CONFIG } from './config';
+import { formatBeijingTime } from './utils';
+import { HighPerformanceLRUCache } from './lruCache';
+
+// ==================== 查询结果缓存写入 ====================
+// 写入所需的查询信息：历史日期查询不保存上次成功结果，也不返回过期结果
+export interface StoredRequest {
+  stockCode: string;
+  queryDate?: string;
+}
+
+export interface StoredResult {
+  data?: any;
+  [key: string]: any;
+}
+
+export interface ResultStoreOptions<R extends StoredResult> {
+  // 最近一次成功的实时结果
+  lastGoodCache: HighPerformanceLRUCache<R>;
+  // 各缓存键的连续失败次数
+  failureCountCache: HighPerformanceLRUCache<number>;
+  // 是否为有效结果（查询成功且有有效价格）
+  isValid: (result: R) => boolean;
+  // 有效实时结果的缓存时间
+  getTtl: (request: StoredRequest, result: R) => number;
+}
+
+/**
+ * 创建结果写入函数：按结果质量写入缓存并返回实际使用的结果
+ * - 有效结果：标记数据来源时间，按 getTtl 缓存，同时保存为上次成功结果，并清零失败次数
+ * - 失败或无有效价格：按连续失败次数退避的短时间缓存；实时查询有上次成功结果时改为返回该结果并标记为过期
+ */
+export function createResultStore<R extends StoredResult>(options: ResultStoreOptions<R>) {
+  const { lastGoodCache, failureCountCache, isValid, getTtl } = options;
+
+  return function storeResult(request: StoredRequest, cacheKey: string, resultCache: HighPerformanceLRUCache<R>, result: R): R {
+    if (isValid(result)) {
+      const fresh: R = {
+        ...result,
+        data: { ...result.data, fetchedAt: formatBeijingTime(new Date()), freshness: 'fresh' }
+      };
+      if (request.queryDate) {
+        resultCache.set(cacheKey, fresh);
+      } else {
+        resultCache.set(cacheKey, fresh, getTtl(request, fresh));
+        lastGoodCache.set(cacheKey, fresh);
+      }
+      failureCountCache.delete(cacheKey);
+      return fresh;
+    }
+
+    const failureCount = (failureCountCache.get(cacheKey, CONFIG.FAILURE_RESET_TTL) || 0) + 1;
+    failureCountCache.set(cacheKey, failureCount);
+    const failureTtl = Math.min(CONFIG.FAILURE_CACHE_TTL * Math.pow(2, failureCount - 1), CONFIG.FAILURE_CACHE_MAX_TTL);
+
+    const lastGood = request.queryDate ? null : lastGoodCache.get(cacheKey, CONFIG.STALE_RESULT_MAX_AGE);
+    const served: R = lastGood
+      ? { ...lastGood, data: { ...lastGood.data, freshness: 'stale' } }
+      : result;
+    resultCache.set(cacheKey, served, failureTtl);
+    return served;
+  };
+}
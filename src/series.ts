@@ -0,0 +1,79 @@
+import { PriceSeries, SeriesPoint } from './providers/series';
+
+// ==================== 历史序列统计与导出 ====================
+// 年化波动率按每年 252 个交易日折算
+const TRADING_DAYS_PER_YEAR = 252;
+
+// 区间统计：收益率、最大回撤、波动率均为小数，供 PERCENTAGE 格式化使用
+export interface SeriesStats {
+  seriesStartDate: string;
+  seriesEndDate: string;
+  seriesCount: number;
+  periodReturn: number | null;
+  maxDrawdown: number | null;
+  volatility: number | null;
+  periodHigh: number;
+  periodLow: number;
+}
+
+/**
+ * 计算区间收益率、最大回撤、年化波动率及最高/最低价
+ * 收益率和回撤按收盘价（净值）计算；最高/最低价优先取K线的最高价和最低价
+ * @param points 按日期升序排列的数据点，至少一个
+ */
+export function computeSeriesStats(points: SeriesPoint[]): SeriesStats {
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  let peak = first.close;
+  let maxDrawdown = 0;
+  let periodHigh = -Infinity;
+  let periodLow = Infinity;
+  const returns: number[] = [];
+
+  points.forEach((point, index) => {
+    periodHigh = Math.max(periodHigh, typeof point.high === 'number' ? point.high : point.close);
+    periodLow = Math.min(periodLow, typeof point.low === 'number' ? point.low : point.close);
+
+    peak = Math.max(peak, point.close);
+    maxDrawdown = Math.max(maxDrawdown, (peak - point.close) / peak);
+
+    if (index > 0) {
+      returns.push(point.close / points[index - 1].close - 1);
+    }
+  });
+
+  let volatility: number | null = null;
+  if (returns.length >= 2) {
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (returns.length - 1);
+    volatility = parseFloat((Math.sqrt(variance) * Math.sqrt(TRADING_DAYS_PER_YEAR)).toFixed(6));
+  }
+
+  return {
+    seriesStartDate: first.date,
+    seriesEndDate: last.date,
+    seriesCount: points.length,
+    periodReturn: points.length > 1 ? parseFloat((last.close / first.close - 1).toFixed(6)) : null,
+    maxDrawdown: points.length > 1 ? parseFloat(maxDrawdown.toFixed(6)) : null,
+    volatility,
+    periodHigh,
+    periodLow
+  };
+}
+
+// CSV 单元格：空值输出为空
+function csvCell(value: number | null | undefined): string {
+  return typeof value === 'number' ? String(value) : '';
+}
+
+// 序列转换为 CSV 文本：K线为 日期,开盘,收盘,最高,最低,成交量；净值为 日期,单位净值,累计净值
+export function buildSeriesCsv(series: PriceSeries): string {
+  const lines = series.kind === 'kline'
+    ? ['date,open,close,high,low,volume'].concat(series.points.map(point =>
+      [point.date, csvCell(point.open), point.close, csvCell(point.high), csvCell(point.low), csvCell(point.volume)].join(',')))
+    : ['date,nav,accumulatedNav'].concat(series.points.map(point =>
+      [point.date, point.close, csvCell(point.accumulatedNav)].join(',')));
+
+  return lines.join('\n');
+}
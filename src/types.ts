@@ -0,0 +1,46 @@
+// ==================== 公共类型定义 ====================
+// 基金取值方式：已公布的单位净值 / 盘中估值
+export type FundValuationMode = 'nav' | 'estimate';
+
+// 基金结果的取值类型：稳定的机器可读取值，nav 已公布的单位净值，estimate 盘中估值，fixed-nav 货币基金的固定净值
+export const VALUATION_TYPES = {
+  NAV: 'nav',
+  ESTIMATE: 'estimate',
+  FIXED_NAV: 'fixed-nav',
+} as const;
+
+export type ValuationType = typeof VALUATION_TYPES[keyof typeof VALUATION_TYPES];
+
+// 查询选项，由表单参数生成并贯穿批量查询、数据源和缓存键
+export interface QueryOptions {
+  queryDate?: string;
+  fundValuation?: FundValuationMode;
+}
+
+// 资产类别和市场，用于挑选支持该代码的数据源
+// sh/sz/bj：沪深北交易所（含场内基金、可转债、指数），nf：国内商品期货
+export type AssetClass = 'stock' | 'fund';
+export type Market = 'sh' | 'sz' | 'bj' | 'hk' | 'us' | 'nf' | 'fund';
+
+// 计价货币；目标货币 original 表示保持原币种不换算
+export type Currency = 'CNY' | 'HKD' | 'USD';
+export type TargetCurrency = 'original' | Currency;
+
+// 资产类型：查询结果中返回的识别结果；表单可选 auto 按号段规则自动识别
+export type AssetType = 'stock' | 'fund' | 'index' | 'etf' | 'bond' | 'futures';
+export type AssetTypeOption = 'auto' | 'stock' | 'fund' | 'index' | 'etf';
+
+// 输出模式：单个价格 / 区间历史序列
+export type OutputMode = 'quote' | 'series' | 'depth';
+
+// 可选输出开关（阶段表现、基金档案等）：off 不查询，on 额外请求并返回对应属性
+export type ToggleOption = 'off' | 'on';
+
+// 交易日历所属市场：CN 为沪深北交易所（含场外基金、国内期货），HK 为港交所，US 为纽交所/纳斯达克
+export type CalendarRegion = 'CN' | 'HK' | 'US';
+
+// 市场状态：live 交易中，pre-market 盘前/集合竞价，closed 已收盘或午间休市/周末，holiday 工作日休市
+export type MarketStatus = 'live' | 'pre-market' | 'closed' | 'holiday';
+
+// 复权方式：none 不复权，qfq 前复权（以最新价格为基准调整历史价格），hfq 后复权（以上市/成立时价格为基准累积调整）
+export type PriceAdjustment = 'none' | 'qfq' | 'hfq';
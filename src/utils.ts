@@ -0,0 +1,50 @@
+import { PATTERNS } from './config';
+import { Market } from './types';
+
+// ==================== 通用工具函数 ====================
+// 日期格式化为 YYYY-MM-DD（本地时间）
+export function formatDate(date: Date): string {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// 时刻格式化为北京时间 YYYY-MM-DD HH:mm:ss
+export function formatBeijingTime(date: Date): string {
+  return new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// 在 YYYY-MM-DD 日期上加减天数
+export function shiftDate(dateStr: string, days: number): string {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return formatDate(new Date(year, month - 1, day + days));
+}
+
+// 在 YYYY-MM-DD 日期上加减月数，目标月份没有该日时取月末（如 03-31 减一个月为 02-28）
+export function shiftMonths(dateStr: string, months: number): string {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+  return formatDate(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+}
+
+// 查询日期早于今天时按历史日期查询收盘价/净值
+export function isHistoricalDate(dateStr?: string): boolean {
+  return !!dateStr && dateStr < formatDate(new Date());
+}
+
+// 百分数（如 0.65 表示 0.65%）转换为小数，供 PERCENTAGE 格式化使用
+export function percentToRatio(value: number | null): number | null {
+  return value === null ? null : parseFloat((value / 100).toFixed(6));
+}
+
+// 根据代码前缀识别市场，6位纯数字视为基金
+export function getMarket(symbol: string): Market | null {
+  const prefix = symbol.substring(0, 2).toLowerCase();
+  if (prefix === 'sh' || prefix === 'sz' || prefix === 'bj' || prefix === 'hk' || prefix === 'us' || prefix === 'nf') {
+    return prefix;
+  }
+
+  if (PATTERNS.FUND_CODE.test(symbol)) {
+    return 'fund';
+  }
+
+  return null;
+}
@@ -0,0 +1,27 @@
+import { evaluatePriceAlert } from '../src/alert';
+
+/**
+ * 价格提醒测试
+ */
+describe('Price alert', () => {
+  const rule = { upperPrice: 1800, lowerPrice: 1400, maxMove: 0.05 };
+
+  test('reports threshold crossings before large moves', () => {
+    expect(evaluatePriceAlert(1500, 0.01, rule, 'zh-CN')).toEqual({ alert: 'none', alertMessage: '' });
+    expect(evaluatePriceAlert(1400, -0.012, rule, 'en-US')).toEqual({
+      alert: 'below',
+      alertMessage: 'Price 1400 is at or below the lower limit 1400'
+    });
+    expect(evaluatePriceAlert(1850, 0.0612, rule, 'zh-CN')).toEqual({
+      alert: 'above',
+      alertMessage: '价格 1850 已达到上限 1800；日涨跌幅 6.12% 超过 ±5%'
+    });
+  });
+
+  test('checks the absolute daily move and skips unset conditions', () => {
+    const moveOnly = { upperPrice: null, lowerPrice: null, maxMove: 0.05 };
+    expect(evaluatePriceAlert(1500, -0.05, moveOnly, 'zh-CN').alert).toBe('big-move');
+    // 缺少涨跌幅时不判断波动
+    expect(evaluatePriceAlert(1500, null, moveOnly, 'zh-CN').alert).toBe('none');
+  });
+});
@@ -0,0 +1,62 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { formatBasketName, isBasketInput, parseBasketInput, summarizeBasket } from '../src/basket';
+import { parseTencentQuotes } from '../src/providers/tencent';
+
+/**
+ * 组合（多代码）查询测试
+ */
+describe('Basket input', () => {
+  test('detects and parses multi-code input with quantities', () => {
+    expect(isBasketInput('sh600519')).toBe(false);
+    expect(isBasketInput('sh600519, hk00700')).toBe(true);
+    expect(parseBasketInput('sh600519*100，hk00700 000311*2.5')).toEqual([
+      { input: 'sh600519', quantity: 100 },
+      { input: 'hk00700', quantity: 1 },
+      { input: '000311', quantity: 2.5 }
+    ]);
+  });
+
+  test('parses combined qt.gtimg.cn response by symbol', () => {
+    const text = readFileSync(join(__dirname, 'fixtures', 'tencent-batch.txt'), 'utf-8');
+    const quotes = parseTencentQuotes(text);
+
+    expect(Object.keys(quotes)).toEqual(['sh600519', 'hk00700']);
+    expect(quotes.sh600519).toMatchObject({ name: '贵州茅台', price: 1710.5 });
+    expect(quotes.hk00700.details).toMatchObject({ change: 7, changePercent: 0.011 });
+  });
+
+  test('totals only successful members', () => {
+    const summary = summarizeBasket([
+      { input: 'sh600519', symbol: 'sh600519', name: '贵州茅台', quantity: 100, price: 1710.5, change: 20.5, changePercent: 0.0121, currency: 'CNY', date: '2025-10-16' },
+      { input: '000311', symbol: '000311', name: '景顺长城沪深300指数增强A', quantity: 1000, price: 2.4567, change: 0.0159, changePercent: 0.0065, currency: 'CNY', date: '2025-10-15' },
+      { input: 'sh999999', quantity: 1, errorCode: 'QUERY_FAILED' }
+    ]);
+
+    expect(summary).toMatchObject({
+      basketCount: 3,
+      basketSuccessCount: 2,
+      marketValue: 173506.7,
+      change: 2065.9,
+      date: '2025-10-16'
+    });
+    expect(summary.changePercent).toBeCloseTo(2065.9 / (173506.7 - 2065.9), 6);
+    expect(summary.basketDetails.split('\n')[2]).toBe('sh999999 查询失败');
+  });
+
+  test('builds the basket name and failure lines in the chosen locale', () => {
+    const items = [
+      { input: 'sh600519', symbol: 'sh600519', name: '贵州茅台', quantity: 1, price: 1710.5, currency: 'CNY' as const, date: '2025-10-16' },
+      { input: 'foo', quantity: 1, errorCode: 'INVALID_CODE' as const },
+      { input: 'usAAPL', quantity: 1, symbol: 'usAAPL', errorCode: 'FX_UNAVAILABLE' as const, error: 'USD/CNY' }
+    ];
+
+    const english = summarizeBasket(items, 'en-US');
+    expect(formatBasketName(english, 'en-US')).toBe('Basket (1/3)');
+    expect(english.basketDetails.split('\n').slice(1)).toEqual(['foo Invalid code', 'usAAPL Failed to get exchange rate']);
+
+    const chinese = summarizeBasket(items, 'zh-CN');
+    expect(formatBasketName(chinese, 'zh-CN')).toBe('组合（1/3）');
+    expect(chinese.basketDetails.split('\n').slice(1)).toEqual(['foo 代码无效', 'usAAPL 汇率获取失败: USD/CNY']);
+  });
+});
@@ -0,0 +1,83 @@
+import { CONFIG } from '../src/config';
+import { BatchQueryOptimizer, QueryRequest } from '../src/batchQuery';
+import { HighPerformanceLRUCache } from '../src/lruCache';
+import { ProviderQuote } from '../src/providers/types';
+
+/**
+ * 批量查询优化器测试：合并窗口、分块请求与结果分发
+ */
+describe('Batch query optimizer', () => {
+  const quote = (price: number): ProviderQuote => ({ name: 'test', price, date: '2025-10-16', details: {} });
+  const symbols = Array.from({ length: 120 }, (_, index) => `sh${600000 + index}`);
+
+  let chunks: string[][];
+  let executed: string[];
+  let optimizer: BatchQueryOptimizer<{ symbol: string; source: string }>;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    chunks = [];
+    executed = [];
+    optimizer = new BatchQueryOptimizer({
+      getResultCache: () => ({ cache: new HighPerformanceLRUCache(), ttl: CONFIG.BATCH_CACHE_TTL }),
+      storeResult: (request, cacheKey, cache, result) => result,
+      canCombine: symbol => symbol.startsWith('sh'),
+      fetchQuoteChunk: async chunk => {
+        chunks.push(chunk);
+        // 第二块整体失败，第一块缺少 sh600001 的行情
+        if (chunks.length === 2) throw new Error('HTTP 503');
+        return Object.fromEntries(chunk.filter(symbol => symbol !== 'sh600001').map(symbol => [symbol, quote(1)]));
+      },
+      executeQuery: async (request: QueryRequest, combinedQuotes) => {
+        executed.push(request.stockCode);
+        return { symbol: request.stockCode, source: combinedQuotes[request.stockCode] ? 'combined' : 'single' };
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('merges calls inside the batch window into chunked requests', async () => {
+    const first = optimizer.addQuery(symbols[0]);
+    await jest.advanceTimersByTimeAsync(CONFIG.BATCH_DELAY - 1);
+    // 窗口内的新查询重新计时，全部并入同一批
+    const rest = symbols.slice(1).map(symbol => optimizer.addQuery(symbol));
+    const duplicate = optimizer.addQuery(symbols[0].toUpperCase());
+    expect(chunks).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(CONFIG.BATCH_DELAY);
+    const results = await Promise.all([first, ...rest]);
+
+    expect(chunks.map(chunk => chunk.length)).toEqual([50, 50, 20]);
+    expect(executed).toHaveLength(120);
+    expect(results.map(result => result.symbol)).toEqual(symbols);
+    expect(await duplicate).toBe(results[0]);
+  });
+
+  test('falls back to single queries for symbols missing from a chunk', async () => {
+    const pending = symbols.map(symbol => optimizer.addQuery(symbol));
+    await jest.advanceTimersByTimeAsync(CONFIG.BATCH_DELAY);
+    const results = await Promise.all(pending);
+
+    expect(results[0].source).toBe('combined');
+    expect(results[1].source).toBe('single');
+    // 第二块请求失败，只影响该块的代码
+    expect(results.slice(50, 100).every(result => result.source === 'single')).toBe(true);
+    expect(results.slice(100).every(result => result.source === 'combined')).toBe(true);
+  });
+
+  test('starts a new batch after the window closes', async () => {
+    const first = optimizer.addQuery('sh600000');
+    await jest.advanceTimersByTimeAsync(CONFIG.BATCH_DELAY);
+    await first;
+    const second = optimizer.addQuery('sh600001');
+    await jest.advanceTimersByTimeAsync(CONFIG.BATCH_DELAY);
+    await second;
+
+    // 每批只有一个代码，不发起合并请求
+    expect(chunks).toEqual([]);
+    expect(executed).toEqual(['sh600000', 'sh600001']);
+  });
+});
@@ -0,0 +1,55 @@
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { buildCacheSnapshot, CacheSnapshotEntry, createFileCacheStore, readCacheSnapshot } from '../src/cacheStore';
+
+/**
+ * 缓存快照与文件存储测试
+ */
+describe('Cache snapshot', () => {
+  const now = Date.parse('2025-10-16T02:00:00Z');
+  const entry = (key: string, expiresAt: number, value: unknown = key): CacheSnapshotEntry =>
+    ({ key, value, timestamp: now - 1000, expiresAt });
+
+  test('keeps absolute expiry times and drops expired entries', () => {
+    const text = buildCacheSnapshot([entry('a', now + 60000), entry('b', now - 1)], 1024, now);
+    expect(readCacheSnapshot(text, now)).toEqual([entry('a', now + 60000)]);
+    // 恢复时已过期的条目不再返回
+    expect(readCacheSnapshot(text, now + 60000)).toEqual([]);
+    expect(readCacheSnapshot('not json', now)).toEqual([]);
+  });
+
+  test('keeps the most recently used entries within the size limit', () => {
+    const entries = ['a', 'b', 'c'].map(key => entry(key, now + 60000, 'x'.repeat(100)));
+    const limit = Buffer.byteLength(JSON.stringify(entries[0])) * 2 + 2;
+    expect(readCacheSnapshot(buildCacheSnapshot(entries, limit, now), now).map(item => item.key)).toEqual(['b', 'c']);
+  });
+});
+
+describe('File cache store', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-store-test-'));
+  });
+
+  afterEach(async () => {
+    for (const file of await fs.readdir(dir)) {
+      await fs.unlink(path.join(dir, file));
+    }
+    await fs.rmdir(dir);
+  });
+
+  test('stores, expires and deletes values', async () => {
+    const store = createFileCacheStore(dir);
+    await store.set('snapshot_request', 'payload', 60000);
+    expect(await store.get('snapshot_request')).toBe('payload');
+
+    await store.set('snapshot_expired', 'payload', -1);
+    expect(await store.get('snapshot_expired')).toBeNull();
+
+    await store.delete('snapshot_request');
+    expect(await store.get('snapshot_request')).toBeNull();
+    expect(await store.get('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+import { getFundNavCacheTtl, getMarketSession, getMarketStatusOn, getPreviousTradingDate, getSessionCacheTtl, isTradingDay } from '../src/calendar';
+import { CONFIG } from '../src/config';
+
+/**
+ * 交易日历测试（时刻均以 UTC 给出）
+ */
+describe('Trading calendar', () => {
+  test('labels A-share sessions in Beijing time', () => {
+    expect(getMarketSession('CN', new Date('2025-10-16T01:20:00Z'))).toMatchObject({
+      status: 'pre-market',
+      lastTradingDate: '2025-10-15',
+      lastClosedDate: '2025-10-15'
+    });
+    expect(getMarketSession('CN', new Date('2025-10-16T02:00:00Z'))).toMatchObject({
+      status: 'live',
+      lastTradingDate: '2025-10-16',
+      lastClosedDate: '2025-10-15'
+    });
+    expect(getMarketSession('CN', new Date('2025-10-16T12:00:00Z'))).toMatchObject({
+      status: 'closed',
+      lastClosedDate: '2025-10-16'
+    });
+  });
+
+  test('uses the last trading day before weekends and holidays', () => {
+    expect(getMarketSession('CN', new Date('2025-10-08T02:00:00Z'))).toMatchObject({
+      status: 'holiday',
+      lastTradingDate: '2025-09-30'
+    });
+    expect(getMarketSession('CN', new Date('2025-10-18T02:00:00Z')).status).toBe('closed');
+    expect(getPreviousTradingDate('CN', '2025-10-19')).toBe('2025-10-17');
+    expect(isTradingDay('HK', '2025-10-29')).toBe(false);
+  });
+
+  test('reports past value dates as closed instead of the current session', () => {
+    // 2025-10-16 10:00 北京时间，A股交易中
+    const now = new Date('2025-10-16T02:00:00Z');
+    expect(getMarketStatusOn('CN', undefined, now)).toBe('live');
+    expect(getMarketStatusOn('CN', '2025-10-16', now)).toBe('live');
+    expect(getMarketStatusOn('CN', '2025-10-15', now)).toBe('closed');
+    expect(getMarketStatusOn('CN', '2025-10-11', now)).toBe('closed');
+    expect(getMarketStatusOn('CN', '2025-10-08', now)).toBe('holiday');
+  });
+
+  test('treats the Hong Kong lunch break as closed', () => {
+    expect(getMarketSession('HK', new Date('2025-10-16T04:30:00Z')).status).toBe('closed');
+    expect(getMarketSession('HK', new Date('2025-10-16T07:30:00Z')).status).toBe('live');
+  });
+
+  test('follows US daylight saving time', () => {
+    // 夏令时 UTC-4：14:00Z 为 10:00
+    expect(getMarketSession('US', new Date('2025-07-03T14:00:00Z')).status).toBe('live');
+    // 标准时 UTC-5：14:00Z 为 9:00
+    expect(getMarketSession('US', new Date('2025-12-01T14:00:00Z')).status).toBe('pre-market');
+    expect(getMarketSession('US', new Date('2025-07-04T15:00:00Z'))).toMatchObject({
+      status: 'holiday',
+      lastTradingDate: '2025-07-03'
+    });
+  });
+
+  test('caches closed-market quotes until the next open', () => {
+    const live = new Date('2025-10-16T02:00:00Z');
+    expect(getSessionCacheTtl(getMarketSession('CN', live), live)).toBe(CONFIG.BATCH_CACHE_TTL);
+    // 周六缓存到周一 9:15（北京时间）
+    const saturday = new Date('2025-10-18T02:00:00Z');
+    expect(getSessionCacheTtl(getMarketSession('CN', saturday), saturday))
+      .toBe(Date.parse('2025-10-20T01:15:00Z') - saturday.getTime());
+    // 开盘前 10 分钟：缓存到盘前时段开始
+    const beforeOpen = new Date('2025-10-16T01:05:00Z');
+    expect(getSessionCacheTtl(getMarketSession('CN', beforeOpen), beforeOpen)).toBe(10 * 60 * 1000);
+    // 港股午间休市缓存到 13:00
+    const lunch = new Date('2025-10-16T04:30:00Z');
+    expect(getSessionCacheTtl(getMarketSession('HK', lunch), lunch)).toBe(30 * 60 * 1000);
+  });
+
+  test('caches fund NAV until the next expected publication', () => {
+    // 周四 21:00：当天净值已公布，缓存到周五 20:00
+    const evening = new Date('2025-10-16T13:00:00Z');
+    expect(getFundNavCacheTtl('2025-10-16', evening)).toBe(23 * 60 * 60 * 1000);
+    // 当天净值尚未更新：短间隔重新查询
+    expect(getFundNavCacheTtl('2025-10-15', evening)).toBe(CONFIG.FUND_NAV_POLL_TTL);
+    // 周四 10:00：上一交易日净值即为最新，缓存到当天 20:00
+    const morning = new Date('2025-10-16T02:00:00Z');
+    expect(getFundNavCacheTtl('2025-10-15', morning)).toBe(10 * 60 * 60 * 1000);
+  });
+
+  test('stops polling lagging fund NAVs outside the publication window', () => {
+    // QDII 基金周四上午仍只有周二净值：不在公布时段，缓存到当天 20:00
+    const morning = new Date('2025-10-16T02:00:00Z');
+    expect(getFundNavCacheTtl('2025-10-14', morning)).toBe(10 * 60 * 60 * 1000);
+    // 周四 23:30 公布时段结束：缓存到周五 20:00
+    const lateNight = new Date('2025-10-16T15:30:00Z');
+    expect(getFundNavCacheTtl('2025-10-15', lateNight)).toBe(20.5 * 60 * 60 * 1000);
+    // 周六：缓存到下周一 20:00
+    const weekend = new Date('2025-10-18T04:00:00Z');
+    expect(getFundNavCacheTtl('2025-10-15', weekend)).toBe(56 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,85 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { adjustPricePoints, parseFundActions, parseStockDividends } from '../src/providers/corporateActions';
+import { fetchPriceSeries } from '../src/providers/series';
+import { computeDividendYield, summarizeCorporateActions } from '../src/corporateActions';
+
+// 读取录制的数据源响应
+function fixture(name: string): string {
+  return readFileSync(join(__dirname, 'fixtures', name), 'utf-8');
+}
+
+/**
+ * 分红、送转与拆分测试
+ */
+describe('Corporate actions', () => {
+  test('parses implemented A-share dividends and bonus shares per share', () => {
+    const actions = parseStockDividends(fixture('eastmoney-sharebonus-600519.json'));
+
+    // 未实施的预案（无除息日）不计入
+    expect(actions.map(action => action.exDate)).toEqual(['2025-06-26', '2024-12-20', '2006-05-25', '2006-05-25']);
+    expect(actions[0]).toMatchObject({ type: 'dividend', cashPerShare: 27.673, recordDate: '2025-06-25', payDate: '2025-06-26' });
+    expect(actions.find(action => action.type === 'split')).toMatchObject({ exDate: '2006-05-25', ratio: 2 });
+    expect(parseStockDividends('not json')).toEqual([]);
+  });
+
+  test('summarizes the latest events as of the price date', () => {
+    const actions = parseStockDividends(fixture('eastmoney-sharebonus-600519.json'));
+
+    expect(summarizeCorporateActions(actions, '2025-03-31')).toMatchObject({
+      dividendPerShare: 23.882,
+      dividendExDate: '2024-12-20',
+      dividendPayDate: '2024-12-20',
+      splitDate: '2006-05-25',
+      splitRatio: 2
+    });
+    expect(summarizeCorporateActions(actions, '2025-10-16').recentActions.split('\n')[0]).toBe('2025-06-26 分红 每股(份)27.6730');
+  });
+
+  test('computes trailing 12-month dividend yield', () => {
+    const actions = parseStockDividends(fixture('eastmoney-sharebonus-600519.json'));
+
+    // 2024-12-20 和 2025-06-26 两次分红：(23.882 + 27.673) / 1500
+    expect(computeDividendYield(actions, '2025-10-16', 1500)).toBe(0.03437);
+    // 同日送转的分红按送转后股本折算：0.3 / 2 / 30
+    expect(computeDividendYield(actions, '2006-06-30', 30)).toBe(0.005);
+    expect(computeDividendYield(actions, '2020-01-01', 1000)).toBe(0);
+  });
+
+  test('reads fund distributions and splits from the NAV trend', () => {
+    const actions = parseFundActions(fixture('pingzhongdata-000311-actions.txt'));
+
+    expect(actions).toEqual([
+      expect.objectContaining({ type: 'dividend', exDate: '2025-10-14', cashPerShare: 0.1 }),
+      expect.objectContaining({ type: 'split', exDate: '2025-10-10', ratio: 1.25 })
+    ]);
+  });
+
+  test('adjusts fund NAVs across a split and a distribution', () => {
+    const script = fixture('pingzhongdata-000311-actions.txt');
+    const points = [2.5, 2.0, 2.01, 1.91, 1.91].map((close, index) => ({
+      date: ['2025-10-09', '2025-10-10', '2025-10-13', '2025-10-14', '2025-10-15'][index],
+      close
+    }));
+    const actions = parseFundActions(script);
+
+    expect(adjustPricePoints(points, actions, 'hfq').map(point => point.close)).toEqual([2.5, 2.5, 2.5125, 2.5125, 2.5125]);
+    expect(adjustPricePoints(points, actions, 'qfq').map(point => point.close)).toEqual([1.9005, 1.9005, 1.91, 1.91, 1.91]);
+  });
+
+  test('requests adjusted K-lines and adjusts NAV series by date range', async () => {
+    const requested: string[] = [];
+    const context = {
+      async fetchText(url: string): Promise<string> {
+        requested.push(url);
+        return fixture(url.includes('pingzhongdata') ? 'pingzhongdata-000311-actions.txt' : 'tencent-kline-sz000858.json');
+      }
+    };
+
+    await fetchPriceSeries('sz000858', '2025-10-01', '2025-10-31', context, 'qfq');
+    expect(requested[0]).toMatch(/,qfq$/);
+
+    const fund = await fetchPriceSeries('000311', '2025-10-10', '2025-10-13', context, 'qfq');
+    expect(fund.series!.points.map(point => point.close)).toEqual([1.9005, 1.91]);
+  });
+});
@@ -0,0 +1,49 @@
+import { buildErrorData, resolveLocale } from '../src/errors';
+
+/**
+ * 错误结果测试
+ */
+describe('Error result', () => {
+  test('sets status, error code and a message in the chosen locale', () => {
+    const options = { id: 'error_1', symbol: 'sh999999', date: '2025-10-16', sourceDetail: '股票代码 sh999999 无法找到匹配数据' };
+
+    expect(buildErrorData('QUERY_FAILED', 'zh-CN', options)).toEqual({
+      id: 'error_1',
+      status: 'error',
+      errorCode: 'QUERY_FAILED',
+      errorMessage: '查询失败: 股票代码 sh999999 无法找到匹配数据',
+      symbol: 'sh999999',
+      price: null,
+      date: '2025-10-16'
+    });
+    // 数据源的中文原始说明不出现在英文结果中
+    expect(buildErrorData('QUERY_FAILED', 'en-US', options)).toMatchObject({
+      status: 'error',
+      errorCode: 'QUERY_FAILED',
+      errorMessage: 'Query failed'
+    });
+  });
+
+  test('localises the plugin\'s own details', () => {
+    expect(buildErrorData('INVALID_CODE', 'en-US', { detailCode: 'SERIES_SINGLE_CODE' }).errorMessage)
+      .toBe('Enter a valid security code (e.g. sh600519, sz000001, bj430047, hk00700, usAAPL, nfRB2501) or fund code (e.g. 000311): Historical series mode supports a single code only');
+    expect(buildErrorData('INVALID_DATE', 'zh-CN', { detailCode: 'START_AFTER_END' }).errorMessage).toBe('日期格式错误: 开始日期不能晚于结束日期');
+    expect(buildErrorData('FX_UNAVAILABLE', 'en-US', { detail: 'USD/CNY', sourceDetail: '汇率数据为空' }).errorMessage)
+      .toBe('Failed to get exchange rate: USD/CNY');
+  });
+
+  test('keeps extra fields and omits an empty detail', () => {
+    const data = buildErrorData('FX_UNAVAILABLE', 'en-US', { symbol: 'usAAPL', basketCount: 2 });
+
+    expect(data).toMatchObject({ errorMessage: 'Failed to get exchange rate', basketCount: 2, symbol: 'usAAPL', date: '' });
+    expect(data).not.toHaveProperty('detail');
+    expect(data.id).toMatch(/^error_\d+$/);
+  });
+
+  test('takes the locale from the result language option', () => {
+    expect(resolveLocale({ value: 'en-US' })).toBe('en-US');
+    expect(resolveLocale({ value: 'zh-CN' })).toBe('zh-CN');
+    // 未选择时按中文返回
+    expect(resolveLocale(undefined)).toBe('zh-CN');
+  });
+});
@@ -0,0 +1,32 @@
+import { computeHolding, readNumberInput } from '../src/holding';
+
+/**
+ * 持仓估值测试
+ */
+describe('Holding valuation', () => {
+  test('computes market value, profit and profit percent', () => {
+    expect(computeHolding(1710.5, 100, 1500)).toEqual({ marketValue: 171050, profit: 21050, profitPercent: 0.140333 });
+    expect(computeHolding(2.4567, 1000.5, 2.6)).toEqual({ marketValue: 2457.9284, profit: -143.3716, profitPercent: -0.055115 });
+  });
+
+  test('returns only the market value without a cost price', () => {
+    expect(computeHolding(1710.5, 100, null)).toEqual({ marketValue: 171050, profit: null, profitPercent: null });
+    expect(computeHolding(1710.5, 100, 0)).toEqual({ marketValue: 171050, profit: null, profitPercent: null });
+  });
+
+  test('returns nulls without a quantity or a valid price', () => {
+    const empty = { marketValue: null, profit: null, profitPercent: null };
+    expect(computeHolding(1710.5, null, 1500)).toEqual(empty);
+    expect(computeHolding(-1, 100, 1500)).toEqual(empty);
+    expect(computeHolding(null, 100, 1500)).toEqual(empty);
+  });
+
+  test('reads numeric cell values', () => {
+    expect(readNumberInput(100)).toBe(100);
+    expect(readNumberInput('1,234.5')).toBe(1234.5);
+    expect(readNumberInput('')).toBeNull();
+    expect(readNumberInput('abc')).toBeNull();
+    expect(readNumberInput(NaN)).toBeNull();
+    expect(readNumberInput(undefined)).toBeNull();
+  });
+});
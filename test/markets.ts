@@ -0,0 +1,67 @@
+import { classifySymbol, findMarketRule, resolveBareCode } from '../src/markets';
+import { resolveSymbol } from '../src/resolver';
+
+/**
+ * 6位代码与资产类型识别测试
+ */
+describe('Market rules', () => {
+  test('auto mode resolves bare codes by code range', () => {
+    expect(resolveBareCode('600519')).toEqual({ symbol: 'sh600519', assetType: 'stock' });
+    expect(resolveBareCode('300750')).toEqual({ symbol: 'sz300750', assetType: 'stock' });
+    expect(resolveBareCode('430047')).toEqual({ symbol: 'bj430047', assetType: 'stock' });
+    expect(resolveBareCode('510300')).toEqual({ symbol: 'sh510300', assetType: 'etf' });
+    expect(resolveBareCode('159915')).toEqual({ symbol: 'sz159915', assetType: 'etf' });
+    expect(resolveBareCode('113050')).toEqual({ symbol: 'sh113050', assetType: 'bond' });
+    expect(resolveBareCode('399001')).toEqual({ symbol: 'sz399001', assetType: 'index' });
+    expect(resolveBareCode('000311')).toEqual({ symbol: '000311', assetType: 'fund', fallback: { symbol: 'sz000311', assetType: 'stock' } });
+  });
+
+  test('auto mode keeps a fund/stock fallback for the shared 000-003 range', () => {
+    // 000/001 先查场外基金，没有有效净值时查深市主板股票
+    expect(resolveBareCode('000858')).toEqual({ symbol: '000858', assetType: 'fund', fallback: { symbol: 'sz000858', assetType: 'stock' } });
+    expect(resolveBareCode('001979')).toEqual({ symbol: '001979', assetType: 'fund', fallback: { symbol: 'sz001979', assetType: 'stock' } });
+    // 002/003 先查深市股票，没有有效价格时查场外基金
+    expect(resolveBareCode('002594')).toEqual({ symbol: 'sz002594', assetType: 'stock', fallback: { symbol: '002594', assetType: 'fund' } });
+    expect(resolveBareCode('002415')).toEqual({ symbol: 'sz002415', assetType: 'stock', fallback: { symbol: '002415', assetType: 'fund' } });
+    expect(resolveBareCode('003816')).toEqual({ symbol: 'sz003816', assetType: 'stock', fallback: { symbol: '003816', assetType: 'fund' } });
+    // 号段不重叠或明确指定资产类型时没有备选
+    expect(resolveBareCode('300750').fallback).toBeUndefined();
+    expect(resolveBareCode('000858', 'stock')).toEqual({ symbol: 'sz000858', assetType: 'stock' });
+  });
+
+  test('explicit asset type disambiguates 000001', () => {
+    expect(resolveBareCode('000001', 'auto')).toMatchObject({ symbol: '000001', assetType: 'fund' });
+    expect(resolveBareCode('000001', 'stock')).toEqual({ symbol: 'sz000001', assetType: 'stock' });
+    expect(resolveBareCode('000001', 'index')).toEqual({ symbol: 'sh000001', assetType: 'index' });
+    expect(resolveBareCode('159915', 'etf')).toEqual({ symbol: 'sz159915', assetType: 'etf' });
+  });
+
+  test('classifies prefixed symbols', () => {
+    expect(classifySymbol('sh000001')).toBe('index');
+    expect(classifySymbol('sz000001')).toBe('stock');
+    expect(classifySymbol('sh510300')).toBe('etf');
+    expect(classifySymbol('sz123107')).toBe('bond');
+    expect(classifySymbol('hkHSI')).toBe('index');
+    expect(classifySymbol('us.DJI')).toBe('index');
+    expect(classifySymbol('usAAPL')).toBe('stock');
+    expect(classifySymbol('nfRB2501')).toBe('futures');
+    expect(classifySymbol('000311')).toBe('fund');
+  });
+
+  test('accepts nf futures codes only with a known contract root or the nf_ prefix', async () => {
+    const nfRule = findMarketRule('nfsq')!;
+    expect(nfRule.pattern.test('nfRB2501')).toBe(true);
+    expect(nfRule.pattern.test('nfrb0')).toBe(true);
+    expect(nfRule.pattern.test('nf_SA2601')).toBe(true);
+    expect(nfRule.pattern.test('nfsq')).toBe(false);
+    expect(nfRule.pattern.test('nfhk')).toBe(false);
+
+    // nf 开头的拼音首字母交给名称解析
+    const context = {
+      fetchText: async () => {
+        throw new Error('HTTP 503: Service Unavailable');
+      }
+    };
+    expect(await resolveSymbol('nfsq', context)).toEqual({ success: true, symbol: 'hk09633', name: '农夫山泉', source: 'offline' });
+  });
+});
@@ -0,0 +1,484 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import {
+  eastmoneyFundProvider,
+  FUND_PROVIDERS,
+  pingzhongDataProvider,
+  ProviderContext,
+  runProviderChain,
+  sinaProvider,
+  STOCK_PROVIDERS,
+  tencentProvider
+} from '../src/providers';
+import { canConvertAt, getExchangeRate, parseFxQuote } from '../src/providers/fx';
+import { fetchFundProfile, formatHoldings } from '../src/providers/fundProfile';
+import { fetchLiveFundEstimate, parseFundEstimate } from '../src/providers/fundgz';
+import { getMarketSession } from '../src/calendar';
+import { normalizeDate } from '../src/providers/eastmoneyFund';
+import { isMoneyFundQuote, parsePingzhongData, parsePingzhongScript, parseTradeStatus } from '../src/providers/pingzhongdata';
+import { toSinaSymbol } from '../src/providers/sina';
+import { formatDate } from '../src/utils';
+import { extractDepthFromQtData, fetchTencentDepth, fetchTencentFundamentals, fetchTencentQuotes, parseTencentQuotes, QT_FIELDS } from '../src/providers/tencent';
+import { fetchEastmoneyStockProfile, parseEastmoneyStockProfile } from '../src/providers/eastmoneyStock';
+
+// 读取录制的数据源响应
+function fixture(name: string): string {
+  return readFileSync(join(__dirname, 'fixtures', name), 'utf-8');
+}
+
+// 按 URL 片段返回录制响应的请求上下文，未匹配的 URL 视为请求失败
+function createFixtureContext(routes: Array<[string, string]>): ProviderContext & { requested: string[] } {
+  const requested: string[] = [];
+  return {
+    requested,
+    async fetchText(url: string): Promise<string> {
+      requested.push(url);
+      const route = routes.find(([fragment]) => url.includes(fragment));
+      if (!route) {
+        throw new Error(`HTTP 503: Service Unavailable (${url})`);
+      }
+      return fixture(route[1]);
+    }
+  };
+}
+
+/**
+ * 数据源解析测试（录制响应，不访问网络）
+ */
+describe('Quote providers', () => {
+  test('tencent parses full quote string', () => {
+    const result = tencentProvider.parse({ quote: fixture('tencent-sz000858.txt') }, 'sz000858', {});
+
+    expect(result.success).toBe(true);
+    expect(result.quote).toEqual({
+      name: '五粮液',
+      price: 27.78,
+      date: '2012-12-21',
+      details: {
+        prevClose: 27.6,
+        open: 27.7,
+        high: 28.11,
+        low: 27.55,
+        change: 0.18,
+        changePercent: 0.0065,
+        volume: 417909,
+        amount: 116339,
+        marketCap: 1054.52
+      }
+    });
+  });
+
+  test('tencent reports unknown symbol', () => {
+    const result = tencentProvider.parse({ quote: fixture('tencent-none-match.txt') }, 'sh000858', {});
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('sh000858');
+  });
+
+  test('tencent uses nearest kline on or before a historical date', () => {
+    const result = tencentProvider.parse({
+      quote: fixture('tencent-sz000858.txt'),
+      kline: fixture('tencent-kline-sz000858.json')
+    }, 'sz000858', { queryDate: '2025-10-12' });
+
+    expect(result.success).toBe(true);
+    expect(result.quote!.price).toBe(123.8);
+    expect(result.quote!.date).toBe('2025-10-10');
+    expect(result.quote!.details.prevClose).toBe(125.3);
+  });
+
+  test('tencent combined full quotes map back to each symbol', async () => {
+    const context = createFixtureContext([['q=sz000858,sh000858', 'tencent-batch-full.txt']]);
+    const quotes = parseTencentQuotes(await fetchTencentQuotes(['sz000858', 'sh000858'], context, false));
+
+    // 未匹配的代码不出现在结果中，由调用方单独回退
+    expect(Object.keys(quotes)).toEqual(['sz000858']);
+    expect(quotes.sz000858).toEqual(tencentProvider.parse({ quote: fixture('tencent-sz000858.txt') }, 'sz000858', {}).quote);
+  });
+
+  test('tencent field table matches the documented full quote layout', async () => {
+    // 说明文档中的样例行情：表中每个索引都应指向非空字段
+    const fields = fixture('tencent-sz000858.txt').split('"')[1].split('~');
+    for (const index of Object.values(QT_FIELDS)) {
+      expect(fields[index]).not.toBe('');
+    }
+
+    const context = createFixtureContext([['q=sz000858', 'tencent-sz000858.txt']]);
+    expect(await fetchTencentFundamentals('sz000858', context)).toEqual({
+      peRatio: 10.14,
+      pbRatio: 3.64,
+      turnoverRate: 0.011,
+      amplitude: 0.0203,
+      floatMarketCap: 1054.39,
+      limitUp: 30.36,
+      limitDown: 24.84
+    });
+    expect(await fetchTencentFundamentals('hk00700', context)).toBeNull();
+  });
+
+  test('eastmoney stock profile provides industry and exact share counts', async () => {
+    const context = createFixtureContext([['push2.eastmoney.com/api/qt/stock/get?secid=0.000858', 'eastmoney-push2-sz000858.json']]);
+
+    expect(await fetchEastmoneyStockProfile('sz000858', context)).toEqual({
+      industry: '酿酒行业',
+      totalShares: 38.8161,
+      floatShares: 38.8144
+    });
+    expect(await fetchEastmoneyStockProfile('hk00700', context)).toBeNull();
+    expect(parseEastmoneyStockProfile('{"rc":0,"data":null}')).toBeNull();
+  });
+
+  test('tencent full quote yields five-level order book depth', async () => {
+    const context = createFixtureContext([['q=sz000858', 'tencent-sz000858-depth.txt']]);
+    const depth = await fetchTencentDepth('sz000858', context);
+
+    expect(depth).toMatchObject({ bestBid: 27.78, bestAsk: 27.79, spread: 0.01, latestTradeTime: '2012-12-21 15:00:13' });
+    expect(depth!.bids.map(level => level.price)).toEqual([27.78, 27.77, 27.76, 27.75, 27.74]);
+    expect(depth!.asks[4]).toEqual({ price: 27.83, volume: 127 });
+    expect(await fetchTencentDepth('hk00700', context)).toBeNull();
+
+    // 盘口为空时不计算价差，成交时间取行情时间
+    expect(extractDepthFromQtData(fixture('tencent-sz000858.txt').split('"')[1].split('~'))).toEqual({
+      bids: [],
+      asks: [],
+      bestBid: null,
+      bestAsk: null,
+      spread: null,
+      latestTradeTime: '2012-12-21 15:03:55'
+    });
+  });
+
+  test('sina parses A-share quote in tencent units', () => {
+    const result = sinaProvider.parse({ quote: fixture('sina-sh600519.txt') }, 'sh600519', {});
+
+    expect(result.success).toBe(true);
+    expect(result.quote!.name).toBe('贵州茅台');
+    expect(result.quote!.price).toBe(1710.5);
+    expect(result.quote!.date).toBe('2025-10-16');
+    expect(result.quote!.details).toMatchObject({
+      prevClose: 1690,
+      open: 1700,
+      high: 1720,
+      low: 1695,
+      change: 20.5,
+      volume: 25634,
+      amount: 438026.5
+    });
+    expect(result.quote!.details.changePercent).toBeCloseTo(0.012130, 6);
+  });
+
+  test('sina parses Hong Kong and US quotes', () => {
+    const hk = sinaProvider.parse({ quote: fixture('sina-hk00700.txt') }, 'hk00700', {});
+    expect(hk.quote).toMatchObject({ name: '腾讯控股', price: 642.5, date: '2025-10-16' });
+    expect(hk.quote!.details).toMatchObject({ prevClose: 635.5, change: 7, changePercent: 0.01102 });
+
+    const us = sinaProvider.parse({ quote: fixture('sina-gb_aapl.txt') }, 'usAAPL', {});
+    expect(us.quote).toMatchObject({ name: '苹果', price: 247.45, date: '2025-10-16' });
+    expect(us.quote!.details).toMatchObject({ prevClose: 245.9, change: 1.55, marketCap: 36720 });
+  });
+
+  test('sina parses domestic futures against previous settlement', () => {
+    const result = sinaProvider.parse({ quote: fixture('sina-nf_RB2501.txt') }, 'nfRB2501', {});
+
+    expect(result.quote).toMatchObject({ name: '螺纹钢2501', price: 3312, date: '2024-10-16' });
+    expect(result.quote!.details).toMatchObject({ prevClose: 3296, open: 3300, high: 3325, low: 3288, change: 16, volume: 912345 });
+  });
+
+  test('sina maps index and futures symbols', () => {
+    expect(toSinaSymbol('us.DJI')).toBe('gb_$dji');
+    expect(toSinaSymbol('nfRB0')).toBe('nf_RB0');
+    expect(toSinaSymbol('hkHSI')).toBe('hkHSI');
+    expect(toSinaSymbol('bj430047')).toBe('bj430047');
+  });
+
+  test('sina reports empty quote', () => {
+    const result = sinaProvider.parse({ quote: fixture('sina-empty.txt') }, 'sh999999', {});
+
+    expect(result.success).toBe(false);
+  });
+
+  test('eastmoney parses fund page', () => {
+    const result = eastmoneyFundProvider.parse({ page: fixture('eastmoney-000311.html') }, '000311', {});
+
+    expect(result.success).toBe(true);
+    expect(result.quote).toEqual({
+      name: '景顺长城沪深300指数增强A',
+      price: 2.4567,
+      date: '2025-10-16',
+      details: { changePercent: 0.0065, accumulatedNav: 3.1234 }
+    });
+  });
+
+  test('eastmoney uses NAV history for a historical date', () => {
+    const result = eastmoneyFundProvider.parse({
+      page: fixture('eastmoney-000311.html'),
+      history: fixture('eastmoney-lsjz-000311.json')
+    }, '000311', { queryDate: '2025-10-12' });
+
+    expect(result.quote).toMatchObject({ price: 2.4013, date: '2025-10-10' });
+    expect(result.quote!.details).toEqual({ changePercent: -0.0112, accumulatedNav: 3.068 });
+  });
+
+  test('pingzhongdata parses NAV trend', () => {
+    const latest = pingzhongDataProvider.parse({ script: fixture('pingzhongdata-000311.txt') }, '000311', {});
+    expect(latest.quote).toEqual({
+      name: '景顺长城沪深300指数增强A',
+      price: 2.4567,
+      date: '2025-10-16',
+      details: { changePercent: 0.0065, accumulatedNav: 3.1234, subscriptionStatus: null, redemptionStatus: null }
+    });
+
+    const historical = pingzhongDataProvider.parse({ script: fixture('pingzhongdata-000311.txt') }, '000311', { queryDate: '2025-10-15' });
+    expect(historical.quote).toMatchObject({ price: 2.4408, date: '2025-10-15' });
+  });
+});
+
+/**
+ * 结构化基金净值测试：QDII、货币基金和暂停申购基金
+ */
+describe('Structured fund NAV', () => {
+  test('reads a QDII NAV with its own lagging date', async () => {
+    const context = createFixtureContext([
+      ['pingzhongdata/270042.js', 'pingzhongdata-270042.txt'],
+      ['lsjz?fundCode=270042', 'eastmoney-lsjz-270042.json']
+    ]);
+    const result = await runProviderChain(FUND_PROVIDERS, ['270042'], {}, context);
+
+    expect(result.quote).toEqual({
+      name: '广发纳斯达克100ETF联接人民币(QDII)A',
+      price: 6.7802,
+      date: '2025-10-14',
+      details: { changePercent: -0.006, accumulatedNav: 6.8302, subscriptionStatus: '限大额', redemptionStatus: '开放赎回' }
+    });
+    // 历史日期跨过周末取之前最近的净值日
+    const historical = parsePingzhongData(fixture('pingzhongdata-270042.txt'), '270042', '2025-10-12');
+    expect(historical.quote).toMatchObject({ price: 6.6743, date: '2025-10-10' });
+  });
+
+  test('reads money-market income instead of treating the yield as NAV', () => {
+    const data = parsePingzhongScript(fixture('pingzhongdata-000009.txt'))!;
+    expect(data.kind).toBe('money');
+    expect(data.navs).toEqual([]);
+    expect(data.yields[data.yields.length - 1]).toEqual({ date: '2025-10-16', incomePer10k: 0.3917, sevenDayYield: 0.01446 });
+
+    const result = parsePingzhongData(fixture('pingzhongdata-000009.txt'), '000009');
+    expect(result.quote).toMatchObject({ name: '易方达天天理财货币A', price: -1, date: '2025-10-16' });
+    expect(result.quote!.details).toMatchObject({ incomePer10k: 0.3917, sevenDayYield: 0.01446 });
+    expect(isMoneyFundQuote(result.quote!)).toBe(true);
+
+    const historical = parsePingzhongData(fixture('pingzhongdata-000009.txt'), '000009', '2025-10-15');
+    expect(historical.quote).toMatchObject({ date: '2025-10-15', details: { incomePer10k: 0.3921, sevenDayYield: 0.01449 } });
+  });
+
+  test('quotes a money-market fund by income even when its NAV trend has points', () => {
+    const data = parsePingzhongScript(fixture('pingzhongdata-000198.txt'))!;
+    expect(data.kind).toBe('money');
+    expect(data.navs.length).toBe(3);
+
+    const result = parsePingzhongData(fixture('pingzhongdata-000198.txt'), '000198');
+    expect(result.quote).toMatchObject({ name: '天弘余额宝货币', price: -1, date: '2025-10-16' });
+    expect(result.quote!.details).toMatchObject({ incomePer10k: 0.3187, sevenDayYield: 0.01176 });
+    expect(isMoneyFundQuote(result.quote!)).toBe(true);
+  });
+
+  test('accepts a money-market fund in the fund chain', async () => {
+    const context = createFixtureContext([['pingzhongdata/000009.js', 'pingzhongdata-000009.txt']]);
+    const result = await runProviderChain(FUND_PROVIDERS, ['000009'], {}, context, isMoneyFundQuote);
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('eastmoney-pingzhongdata');
+    // 货币基金页面不会再被请求
+    expect(context.requested.some(url => url.includes('000009.html'))).toBe(false);
+  });
+
+  test('reports suspended subscription alongside the NAV', () => {
+    const latest = parsePingzhongData(fixture('pingzhongdata-000311.txt'), '000311', undefined, fixture('eastmoney-lsjz-000311-suspended.json'));
+    expect(latest.quote).toMatchObject({ price: 2.4567, date: '2025-10-16' });
+    expect(latest.quote!.details).toMatchObject({ subscriptionStatus: '暂停申购', redemptionStatus: '开放赎回' });
+
+    expect(parseTradeStatus(fixture('eastmoney-lsjz-000311-suspended.json'), '2025-10-15').subscriptionStatus).toBe('开放申购');
+    expect(parseTradeStatus('not json')).toEqual({ subscriptionStatus: null, redemptionStatus: null });
+  });
+
+  test('dates short month-day text on the fund page into the previous year across new year', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-01-02T02:00:00Z'));
+    try {
+      expect(normalizeDate('12-31')).toBe('2025-12-31');
+      expect(normalizeDate('01-02')).toBe('2026-01-02');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+/**
+ * 故障切换测试
+ */
+describe('Provider failover chain', () => {
+  test('falls back to sina when tencent is unavailable', async () => {
+    const context = createFixtureContext([['hq.sinajs.cn/list=sh600519', 'sina-sh600519.txt']]);
+    const result = await runProviderChain(STOCK_PROVIDERS, ['sh600519'], {}, context);
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('sina');
+    expect(result.quote!.price).toBe(1710.5);
+    expect(result.errors[0]).toContain('tencent');
+  });
+
+  test('tries sh then sz for a 6-digit stock code', async () => {
+    const context = createFixtureContext([
+      ['q=sh000858', 'tencent-none-match.txt'],
+      ['q=sz000858', 'tencent-sz000858.txt']
+    ]);
+    const result = await runProviderChain(STOCK_PROVIDERS, ['sh000858', 'sz000858'], {}, context);
+
+    expect(result.provider).toBe('tencent');
+    expect(result.symbol).toBe('sz000858');
+  });
+
+  test('skips providers without history support for historical dates', async () => {
+    const context = createFixtureContext([['hq.sinajs.cn', 'sina-sh600519.txt']]);
+    const result = await runProviderChain(STOCK_PROVIDERS, ['sh600519'], { queryDate: '2025-10-12' }, context);
+
+    expect(result.success).toBe(false);
+    expect(result.quote).toBeUndefined();
+    expect(context.requested.some(url => url.includes('hq.sinajs.cn'))).toBe(false);
+  });
+
+  test('uses the structured NAV source before the fund page', async () => {
+    const context = createFixtureContext([
+      ['fund.eastmoney.com/000311.html', 'eastmoney-000311.html'],
+      ['pingzhongdata/000311.js', 'pingzhongdata-000311.txt']
+    ]);
+    const result = await runProviderChain(FUND_PROVIDERS, ['000311'], {}, context);
+
+    expect(result.provider).toBe('eastmoney-pingzhongdata');
+    expect(context.requested.some(url => url.includes('000311.html'))).toBe(false);
+  });
+
+  test('falls back to the fund page when the structured source fails', async () => {
+    const context = createFixtureContext([['fund.eastmoney.com/000311.html', 'eastmoney-000311.html']]);
+    const result = await runProviderChain(FUND_PROVIDERS, ['000311'], {}, context);
+
+    expect(result.success).toBe(true);
+    expect(result.provider).toBe('eastmoney');
+    expect(result.quote!.price).toBe(2.4567);
+  });
+
+  test('keeps partial fund data when every provider lacks NAV', async () => {
+    const context = createFixtureContext([['fund.eastmoney.com/000311.html', 'eastmoney-000311-no-nav.html']]);
+    const result = await runProviderChain(FUND_PROVIDERS, ['000311'], {}, context);
+
+    expect(result.success).toBe(false);
+    expect(result.provider).toBe('eastmoney');
+    expect(result.quote!.name).toBe('景顺长城沪深300指数增强A');
+    expect(result.quote!.price).toBe(-1);
+  });
+});
+
+/**
+ * 汇率测试
+ */
+describe('Exchange rates', () => {
+  test('parses sina FX quote', () => {
+    expect(parseFxQuote(fixture('sina-fx_susdcny.txt'))).toEqual({ rate: 7.123, time: '2025-10-16 15:29:55' });
+  });
+
+  test('crosses non-CNY pairs through CNY', async () => {
+    const context = createFixtureContext([
+      ['fx_susdcny', 'sina-fx_susdcny.txt'],
+      ['fx_shkdcny', 'sina-fx_shkdcny.txt']
+    ]);
+
+    expect(await getExchangeRate('USD', 'CNY', context)).toEqual({ rate: 7.123, time: '2025-10-16 15:29:55' });
+    expect(await getExchangeRate('CNY', 'HKD', context)).toEqual({ rate: 1.092657, time: '2025-10-16 15:29:40' });
+    expect(await getExchangeRate('HKD', 'USD', context)).toEqual({ rate: 0.128485, time: '2025-10-16 15:29:40' });
+  });
+
+  test('refuses to convert prices for past dates without requesting the live rate', async () => {
+    const context = createFixtureContext([
+      ['fx_susdcny', 'sina-fx_susdcny.txt'],
+      ['fx_shkdcny', 'sina-fx_shkdcny.txt']
+    ]);
+
+    expect(canConvertAt(undefined)).toBe(true);
+    expect(canConvertAt(formatDate(new Date()))).toBe(true);
+    expect(canConvertAt('2025-10-15')).toBe(false);
+    await expect(getExchangeRate('USD', 'CNY', context, '2025-10-15')).rejects.toThrow('仅有实时汇率');
+    expect(context.requested).toEqual([]);
+    // 同币种无需汇率，历史日期也可直接返回
+    expect(await getExchangeRate('CNY', 'CNY', context, '2025-10-15')).toEqual({ rate: 1, time: '' });
+  });
+});
+
+/**
+ * 基金盘中估值测试
+ */
+describe('Fund intraday estimate', () => {
+  // 2025-10-16（周四）14:30 北京时间，A股交易中
+  const liveSession = getMarketSession('CN', new Date('2025-10-16T06:30:00Z'));
+
+  test('parses the fundgz jsonp body', () => {
+    expect(parseFundEstimate(fixture('fundgz-000311.txt'))).toEqual({
+      estimatedNav: 2.4601,
+      estimatedChangePercent: 0.0014,
+      estimateTime: '2025-10-16 14:30'
+    });
+  });
+
+  test('rejects empty and malformed responses', async () => {
+    expect(parseFundEstimate(fixture('fundgz-empty.txt'))).toBeNull();
+    expect(parseFundEstimate('jsonpgz({"fundcode":"000311",);')).toBeNull();
+    expect(parseFundEstimate('jsonpgz({"gsz":"","gztime":"2025-10-16 14:30"});')).toBeNull();
+    expect(await fetchLiveFundEstimate('000311', createFixtureContext([['fundgz', 'fundgz-empty.txt']]), liveSession)).toBeNull();
+    // 请求失败时同样回退到已公布净值
+    expect(await fetchLiveFundEstimate('000311', createFixtureContext([]), liveSession)).toBeNull();
+  });
+
+  test('uses the estimate only while the CN session is live and dated today', async () => {
+    const context = createFixtureContext([['fundgz.1234567.com.cn/js/000311.js', 'fundgz-000311.txt']]);
+    expect(await fetchLiveFundEstimate('000311', context, liveSession)).toMatchObject({ estimatedNav: 2.4601 });
+
+    // 次日盘中仍是前一天的估值：视为过期
+    const nextDay = getMarketSession('CN', new Date('2025-10-17T02:00:00Z'));
+    expect(await fetchLiveFundEstimate('000311', context, nextDay)).toBeNull();
+
+    // 收盘后不请求估值
+    const afterClose = getMarketSession('CN', new Date('2025-10-16T08:00:00Z'));
+    expect(await fetchLiveFundEstimate('000311', context, afterClose)).toBeNull();
+    expect(context.requested).toHaveLength(2);
+  });
+});
+
+/**
+ * 基金档案测试
+ */
+describe('Fund profile', () => {
+  test('parses overview fields and latest top holdings', async () => {
+    const context = createFixtureContext([
+      ['jbgk_000311', 'eastmoney-jbgk-000311.html'],
+      ['type=jjcc&code=000311', 'eastmoney-jjcc-000311.txt']
+    ]);
+    const { holdings, ...profile } = await fetchFundProfile('000311', context);
+
+    expect(profile).toEqual({
+      fundType: '指数型-股票',
+      fundManager: '黎海威、徐喻军',
+      inceptionDate: '2013-10-29',
+      fundSize: 30.45,
+      managementFee: 0.01,
+      custodyFee: 0.002,
+      riskLevel: '中高风险',
+      holdingsDate: '2025-09-30'
+    });
+    expect(formatHoldings(holdings)).toBe('1. 贵州茅台(600519) 5.12%\n2. 宁德时代(300750) 3.48%\n3. 中国平安(601318) 2.91%');
+  });
+
+  test('keeps the overview when holdings are unavailable', async () => {
+    const context = createFixtureContext([['jbgk_000311', 'eastmoney-jbgk-000311.html']]);
+    const profile = await fetchFundProfile('000311', context);
+
+    expect(profile.fundType).toBe('指数型-股票');
+    expect(profile.holdings).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseSymbolSuggestions } from '../src/providers/smartbox';
+import { findMarketRule } from '../src/markets';
+import { pickSuggestion, resolveSymbol, searchOfflineIndex } from '../src/resolver';
+
+// 读取录制的搜索接口响应
+function fixture(name: string): string {
+  return readFileSync(join(__dirname, 'fixtures', name), 'utf-8');
+}
+
+/**
+ * 名称 / 拼音 / 6位代码解析测试
+ */
+describe('Symbol resolution', () => {
+  test('parses smartbox suggestions into query symbols', () => {
+    expect(parseSymbolSuggestions(fixture('smartbox-tengxun.txt'))).toEqual([
+      { symbol: 'hk00700', name: '腾讯控股', pinyin: 'txkg', type: 'GP' },
+      { symbol: 'usTCEHY', name: '腾讯控股ADR', pinyin: 'txkgadr', type: 'GP' }
+    ]);
+    expect(parseSymbolSuggestions('v_hint="N"')).toEqual([]);
+  });
+
+  test('prefers exact pinyin match', () => {
+    const match = pickSuggestion('gzmt', parseSymbolSuggestions(fixture('smartbox-gzmt.txt')));
+
+    expect(match && match.symbol).toBe('sh600519');
+  });
+
+  test('keeps bare 6-digit fund codes fund-first', () => {
+    const match = pickSuggestion('000001', parseSymbolSuggestions(fixture('smartbox-000001.txt')));
+
+    expect(match && match.symbol).toBe('000001');
+  });
+
+  test('searches offline index by name, pinyin and code', () => {
+    expect(searchOfflineIndex('贵州茅台')[0].symbol).toBe('sh600519');
+    expect(searchOfflineIndex('腾讯')[0].symbol).toBe('hk00700');
+    expect(searchOfflineIndex('GZMT')[0].symbol).toBe('sh600519');
+    expect(searchOfflineIndex('600519')[0].symbol).toBe('sh600519');
+  });
+
+  test('falls back to offline index when suggest endpoint fails', async () => {
+    const context = {
+      fetchText: async () => {
+        throw new Error('HTTP 503: Service Unavailable');
+      }
+    };
+
+    expect(await resolveSymbol('腾讯', context)).toEqual({ success: true, symbol: 'hk00700', name: '腾讯控股', source: 'offline' });
+    expect((await resolveSymbol('不存在的证券', context)).success).toBe(false);
+  });
+
+  test('resolves pinyin initials starting with hk instead of treating them as HK codes', async () => {
+    const hkRule = findMarketRule('hkws')!;
+    expect(hkRule.pattern.test('hkws')).toBe(false);
+    expect(hkRule.pattern.test('hkHSI')).toBe(true);
+    expect(hkRule.pattern.test('hkhstech')).toBe(true);
+
+    const context = {
+      fetchText: async () => {
+        throw new Error('HTTP 503: Service Unavailable');
+      }
+    };
+    expect(await resolveSymbol('hkws', context)).toEqual({ success: true, symbol: 'sz002415', name: '海康威视', source: 'offline' });
+  });
+});
@@ -0,0 +1,68 @@
+import { CONFIG } from '../src/config';
+import { HighPerformanceLRUCache } from '../src/lruCache';
+import { createResultStore, StoredResult } from '../src/resultStore';
+
+/**
+ * 结果缓存写入测试：失败退避与过期结果回退
+ */
+describe('Result store', () => {
+  const request = { stockCode: 'sh600519' };
+  const success: StoredResult = { ok: true, data: { price: 1710.5 } };
+  const failure: StoredResult = { ok: false, message: '查询失败' };
+
+  let resultCache: HighPerformanceLRUCache<StoredResult>;
+  let storeResult: ReturnType<typeof createResultStore>;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-10-16T02:00:00Z'));
+    resultCache = new HighPerformanceLRUCache<StoredResult>();
+    storeResult = createResultStore<StoredResult>({
+      lastGoodCache: new HighPerformanceLRUCache<StoredResult>(),
+      failureCountCache: new HighPerformanceLRUCache<number>(),
+      isValid: result => result.ok && result.data.price > 0,
+      getTtl: () => 60000
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('serves the last good result tagged stale within the backoff window', () => {
+    expect(storeResult(request, 'batch_sh600519', resultCache, success).data).toMatchObject({ price: 1710.5, freshness: 'fresh' });
+
+    jest.advanceTimersByTime(60001);
+    expect(resultCache.get('batch_sh600519', CONFIG.BATCH_CACHE_TTL)).toBeNull();
+
+    const served = storeResult(request, 'batch_sh600519', resultCache, failure);
+    expect(served.data).toMatchObject({ price: 1710.5, freshness: 'stale' });
+
+    // 退避期内直接命中缓存的过期结果，期满后重新查询
+    jest.advanceTimersByTime(CONFIG.FAILURE_CACHE_TTL);
+    expect(resultCache.get('batch_sh600519', CONFIG.BATCH_CACHE_TTL)).toEqual(served);
+    jest.advanceTimersByTime(1);
+    expect(resultCache.get('batch_sh600519', CONFIG.BATCH_CACHE_TTL)).toBeNull();
+  });
+
+  test('doubles the backoff on consecutive failures and resets it after a success', () => {
+    const expiresAfter = (ttl: number) => {
+      jest.advanceTimersByTime(ttl);
+      const cachedAtLimit = resultCache.get('batch_sz000001', CONFIG.BATCH_CACHE_TTL);
+      jest.advanceTimersByTime(1);
+      return cachedAtLimit !== null && resultCache.get('batch_sz000001', CONFIG.BATCH_CACHE_TTL) === null;
+    };
+
+    // 历史日期查询没有上次成功结果，失败时返回原结果
+    expect(storeResult({ stockCode: 'sz000001', queryDate: '2025-10-15' }, 'batch_sz000001', resultCache, failure)).toBe(failure);
+    expect(expiresAfter(CONFIG.FAILURE_CACHE_TTL)).toBe(true);
+
+    storeResult(request, 'batch_sz000001', resultCache, failure);
+    expect(expiresAfter(CONFIG.FAILURE_CACHE_TTL * 2)).toBe(true);
+
+    storeResult(request, 'batch_sz000001', resultCache, success);
+    jest.advanceTimersByTime(60001);
+    storeResult(request, 'batch_sz000001', resultCache, failure);
+    expect(expiresAfter(CONFIG.FAILURE_CACHE_TTL)).toBe(true);
+  });
+});
@@ -0,0 +1,129 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseKlineSeries, parseNavSeries } from '../src/providers/series';
+import { buildSeriesCsv, computeSeriesStats } from '../src/series';
+import { computePeriodMetrics, fetchPeriodMetrics } from '../src/performance';
+import { shiftMonths } from '../src/utils';
+
+// 读取录制的数据源响应
+function fixture(name: string): string {
+  return readFileSync(join(__dirname, 'fixtures', name), 'utf-8');
+}
+
+/**
+ * 历史序列测试
+ */
+describe('Historical series', () => {
+  test('parses daily klines within the range', () => {
+    const result = parseKlineSeries(fixture('tencent-kline-sz000858.json'), 'sz000858', '2025-10-01', '2025-10-31');
+
+    expect(result.success).toBe(true);
+    expect(result.series!.points).toEqual([
+      { date: '2025-10-09', close: 125.3, open: 124.5, high: 126, low: 124.1, volume: 210345 },
+      { date: '2025-10-10', close: 123.8, open: 125.2, high: 125.6, low: 123.5, volume: 198765 }
+    ]);
+    expect(buildSeriesCsv(result.series!)).toBe(
+      'date,open,close,high,low,volume\n2025-10-09,124.5,125.3,126,124.1,210345\n2025-10-10,125.2,123.8,125.6,123.5,198765'
+    );
+
+    expect(parseKlineSeries(fixture('tencent-kline-sz000858.json'), 'sz000858', '2025-10-11', '2025-10-31').success).toBe(false);
+  });
+
+  test('parses fund NAV trend with accumulated NAV', () => {
+    const result = parseNavSeries(fixture('pingzhongdata-000311.txt'), '000311', '2025-10-15', '2025-10-16');
+
+    expect(result.series!.name).toBe('景顺长城沪深300指数增强A');
+    expect(buildSeriesCsv(result.series!)).toBe('date,nav,accumulatedNav\n2025-10-15,2.4408,3.1075\n2025-10-16,2.4567,3.1234');
+  });
+
+  test('computes return, drawdown, volatility and range', () => {
+    const stats = computeSeriesStats([
+      { date: '2025-01-02', close: 10 },
+      { date: '2025-01-03', close: 12 },
+      { date: '2025-01-06', close: 9 },
+      { date: '2025-01-07', close: 11 }
+    ]);
+
+    expect(stats).toMatchObject({
+      seriesStartDate: '2025-01-02',
+      seriesEndDate: '2025-01-07',
+      seriesCount: 4,
+      periodReturn: 0.1,
+      maxDrawdown: 0.25,
+      periodHigh: 12,
+      periodLow: 9
+    });
+    expect(stats.volatility).toBeCloseTo(4.2298, 4);
+  });
+});
+
+/**
+ * 阶段表现测试
+ */
+describe('Period metrics', () => {
+  test('uses the last close on or before each period start', () => {
+    const points = [
+      { date: '2024-10-15', close: 8 },
+      { date: '2024-12-31', close: 10 },
+      { date: '2025-03-03', close: 16, high: 20 },
+      { date: '2025-07-16', close: 12 },
+      { date: '2025-09-16', close: 11 },
+      { date: '2025-10-09', close: 12.5 }
+    ];
+
+    expect(computePeriodMetrics(points, 12, '2025-10-16')).toEqual({
+      return1W: -0.04,
+      return1M: 0.090909,
+      return3M: 0,
+      returnYtd: 0.2,
+      return1Y: 0.5,
+      high52Week: 20,
+      fromHigh52Week: -0.4
+    });
+  });
+
+  test('leaves returns empty when history does not reach the period start', () => {
+    const metrics = computePeriodMetrics([{ date: '2025-10-09', close: 10 }], 11, '2025-10-16');
+
+    expect(metrics.return1W).toBe(0.1);
+    expect(metrics.return1M).toBeNull();
+    expect(metrics.returnYtd).toBeNull();
+    expect(metrics.high52Week).toBe(11);
+  });
+
+  test('measures fund returns across a split and a distribution on adjusted NAVs', async () => {
+    const requested: string[] = [];
+    const context = {
+      async fetchText(url: string): Promise<string> {
+        requested.push(url);
+        return fixture('pingzhongdata-000311-actions.txt');
+      }
+    };
+
+    // 10-09 单位净值 2.5，10-10 按 1.25 拆分、10-14 每份派现 0.1：未复权会得到 -23.6% 的虚假跌幅
+    const metrics = await fetchPeriodMetrics('000311', 1.91, '2025-10-16', context);
+    expect(metrics.return1W).toBe(0.004999);
+    expect(requested).toEqual(['https://fund.eastmoney.com/pingzhongdata/000311.js']);
+  });
+
+  test('rebases adjusted klines to the price on a past date', async () => {
+    const requested: string[] = [];
+    const context = {
+      async fetchText(url: string): Promise<string> {
+        requested.push(url);
+        return fixture('tencent-kline-sz000858-qfq.json');
+      }
+    };
+
+    // 07-04 实际收盘 124.2，前复权价 121.0（之后有除息）；收益率按复权价计算，最高价换算回当日口径
+    const metrics = await fetchPeriodMetrics('sz000858', 124.2, '2025-07-04', context);
+    expect(requested[0]).toMatch(/,qfq$/);
+    expect(metrics.return1W).toBe(parseFloat((121 / 118.58 - 1).toFixed(6)));
+    expect(metrics.high52Week).toBe(125.0212);
+  });
+
+  test('clamps month shifts to the end of month', () => {
+    expect(shiftMonths('2025-03-31', -1)).toBe('2025-02-28');
+    expect(shiftMonths('2024-02-29', -12)).toBe('2023-02-28');
+  });
+});